@@ -1,3 +1,162 @@
+importScripts(
+  "shared/sports.js",
+  "shared/settings.js",
+  "shared/scout-errors.js",
+  "shared/notes.js",
+  "background/scout-cache.js",
+  "background/scout-queue.js",
+  "background/squad-prefetch.js",
+  "background/skill-history.js",
+  "background/player-notes.js"
+);
+
+function log(...message) {
+  console.log("[MZ Tools][background]", ...message);
+}
+
+function logE(...message) {
+  console.error("[MZ Tools][background]", ...message);
+}
+
+// Right-click menu on ManagerZone pages: re-scout the player card under the
+// pointer, or every card shown. The content script does the work.
+const CONTEXT_MENU_ITEMS = {
+  "mz-refresh-scout": {
+    title: "Refresh scout report for this player",
+    message: "REFRESH_SCOUT_CONTEXT",
+  },
+  "mz-refresh-visible": {
+    title: "Re-scout all visible players",
+    message: "REFRESH_SCOUT_VISIBLE",
+  },
+};
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, { title }] of Object.entries(CONTEXT_MENU_ITEMS)) {
+      chrome.contextMenus.create({
+        id,
+        title,
+        contexts: ["page", "link", "image", "selection"],
+        documentUrlPatterns: ["*://www.managerzone.com/*"],
+      });
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const item = CONTEXT_MENU_ITEMS[info.menuItemId];
+  if (!item || !tab?.id) return;
+  chrome.tabs
+    .sendMessage(tab.id, { type: item.message }, { frameId: info.frameId })
+    .catch((error) => logE("Context menu: tab not reachable:", error));
+});
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log("ManagerZone Tools installed.");
+  createContextMenus();
+  MZCache.migrateStoredEntries().catch((error) =>
+    logE("Error migrating cache entries:", error)
+  );
+});
+
+// Message handlers for content scripts and the popup.
+// Each handler returns (or resolves to) the response object.
+const MESSAGE_HANDLERS = {
+  CACHE_GET: async ({ pid, sport }) => ({
+    scoutData: await MZCache.getCachedScoutData(pid, sport),
+  }),
+
+  CACHE_SET: async ({ pid, sport, scoutData }) => {
+    await MZCache.setCachedScoutData(pid, sport, scoutData);
+    return { ok: true };
+  },
+
+  SCOUT_FETCH: async ({ pid, sport, lang, priority, playerName }) => ({
+    scoutData: await MZQueue.requestScout(pid, sport, {
+      priority,
+      lang,
+      playerName,
+    }),
+  }),
+
+  SCOUT_REFRESH: async ({ pid, sport, lang, priority, playerName }) => ({
+    scoutData: await MZQueue.requestScout(pid, sport, {
+      priority,
+      lang,
+      playerName,
+      force: true,
+    }),
+  }),
+
+  CACHE_LIST: async () => ({ entries: await MZCache.listEntries() }),
+
+  CACHE_DELETE: async ({ pid, sport }) => {
+    await MZCache.deleteEntry(pid, sport);
+    return { ok: true };
+  },
+
+  GET_QUEUE_STATE: () => ({ queue: MZQueue.getQueueState() }),
+
+  SET_QUEUE_CONFIG: async ({ config }) => ({
+    config: await MZQueue.setQueueConfig(config),
+  }),
+
+  CACHE_MIGRATE_LEGACY: async ({ entries }) => ({
+    migratedCount: await MZCache.migrateLegacyEntries(entries),
+  }),
+
+  CACHE_EXPORT: async () => ({ data: await MZCache.exportEntries() }),
+
+  CACHE_IMPORT: async ({ data }) => ({
+    result: await MZCache.importEntries(data),
+  }),
+
+  PREFETCH_START: ({ sport }) => ({ prefetch: MZPrefetch.start(sport) }),
+  PREFETCH_CANCEL: () => ({ prefetch: MZPrefetch.cancel() }),
+  PREFETCH_STATE: () => ({ prefetch: MZPrefetch.getState() }),
+
+  SCOUT_DIAGNOSE: async ({ pid, sport, lang }) => ({
+    diagnosis: await MZQueue.diagnoseScout(pid, sport, lang),
+  }),
+
+  GET_CACHE_STATS: async () => ({ stats: await MZCache.getCacheStats() }),
+
+  HISTORY_GET: async ({ pid, sport }) => ({
+    history: await MZHistory.getHistory(pid, sport),
+  }),
+
+  HISTORY_RECORD: async ({ pid, sport, snapshot }) => ({
+    history: await MZHistory.recordSnapshot(pid, sport, snapshot),
+  }),
+
+  NOTE_GET: async ({ pid, sport }) => ({
+    note: await MZNotes.getNote(pid, sport),
+  }),
+
+  NOTE_SET: async ({ pid, sport, note }) => ({
+    note: await MZNotes.setNote(pid, sport, note),
+  }),
+
+  NOTE_LIST: async () => ({ notes: await MZNotes.listNotes() }),
+
+  CLEAR_CACHE: async () => {
+    const clearedCount = await MZCache.clearScoutCache();
+    log(`Cleared ${clearedCount} cached scout reports via popup`);
+    return { clearedCount };
+  },
+};
+
+chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[req?.type];
+  if (!handler) return;
+
+  Promise.resolve()
+    .then(() => handler(req, sender))
+    .then(sendResponse)
+    .catch((error) => {
+      logE(`Error handling ${req.type}:`, error);
+      sendResponse(MZErrors.toResponse(error));
+    });
+  return true; // Keep message channel open for async response
 });
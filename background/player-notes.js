@@ -0,0 +1,65 @@
+// Private per-player notes and colored tags, kept in chrome.storage.local
+// next to the scout cache. Unlike scout reports they never expire.
+const MZNotes = (() => {
+  // Storage keys and tag colors (shared/notes.js)
+  const { TAG_COLORS, getNoteKey, isNoteKey, parseNoteKey } = MZNoteFormat;
+
+  const MAX_TAGS = 10;
+  const MAX_TEXT_LENGTH = 2000;
+
+  // Tags are { label, color }; duplicates (by label) and unknown colors are
+  // dropped rather than rejected
+  function cleanTags(tags = []) {
+    const seen = new Set();
+    const cleaned = [];
+    for (const tag of tags) {
+      const label = String(tag?.label || "").trim();
+      if (!label || seen.has(label.toLowerCase())) continue;
+      seen.add(label.toLowerCase());
+      cleaned.push({
+        label,
+        color: TAG_COLORS.includes(tag.color) ? tag.color : "gray",
+      });
+    }
+    return cleaned.slice(0, MAX_TAGS);
+  }
+
+  async function getNote(pid, sport) {
+    const key = getNoteKey(pid, sport);
+    const { [key]: note } = await chrome.storage.local.get(key);
+    return note || null;
+  }
+
+  // Saves the note; an empty text without tags removes it. Resolves to the
+  // stored note, or null when it was removed.
+  async function setNote(pid, sport, { text = "", tags = [], playerName }) {
+    const key = getNoteKey(pid, sport);
+    const note = {
+      text: String(text).trim().slice(0, MAX_TEXT_LENGTH),
+      tags: cleanTags(tags),
+      playerName: playerName || (await getNote(pid, sport))?.playerName || null,
+      updated: Date.now(),
+    };
+
+    if (!note.text && !note.tags.length) {
+      await chrome.storage.local.remove(key);
+      return null;
+    }
+    await chrome.storage.local.set({ [key]: note });
+    return note;
+  }
+
+  // Only the note keys are read, not the scout cache and history beside them
+  async function listNotes() {
+    const keys = (await chrome.storage.local.getKeys()).filter(isNoteKey);
+    const all = await chrome.storage.local.get(keys);
+    return Object.entries(all)
+      .map(([key, note]) => ({ ...parseNoteKey(key), note }))
+      .filter(({ pid }) => pid)
+      .map(({ pid, sport, note }) => ({ pid, sport, ...note }));
+  }
+
+  return { getNote, setNote, listNotes };
+})();
+
+if (typeof module !== "undefined") module.exports = MZNotes;
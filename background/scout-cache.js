@@ -0,0 +1,444 @@
+// Scout report cache backed by chrome.storage.local.
+// Owned by the service worker; content scripts and the popup talk to it via messages.
+const MZCache = (() => {
+  const CACHE_KEY_PREFIX = "mz-scout-";
+  const CACHE_VERSION = "v2"; // v2: full report model, keyed by sport
+
+  // Budget for the whole cache; least recently used entries are evicted first
+  const MAX_ENTRIES = 2000;
+  const MAX_BYTES = 4 * 1024 * 1024; // chrome.storage.local allows ~10 MB
+
+  // Avoid a storage write on every read: only bump lastAccess when it's stale
+  const ACCESS_TOUCH_MS = 60 * 60 * 1000;
+
+  function log(...message) {
+    console.log("[MZ Tools][background/scout-cache]", ...message);
+  }
+
+  function logE(...message) {
+    console.error("[MZ Tools][background/scout-cache]", ...message);
+  }
+
+  const KEY_PREFIX = `${CACHE_KEY_PREFIX}${CACHE_VERSION}-`;
+
+  // Keys are qualified by sport so soccer and hockey data never mix
+  function getCacheKey(pid, sport = MZSports.DEFAULT_SPORT) {
+    return `${KEY_PREFIX}${sport}-${pid}`;
+  }
+
+  function parseCacheKey(key) {
+    if (!key.startsWith(KEY_PREFIX)) return null;
+    const [sport, pid] = key.slice(KEY_PREFIX.length).split("-");
+    if (!MZSports.isSport(sport) || !pid) return null;
+    return { sport, pid };
+  }
+
+  function isCacheKey(key) {
+    return parseCacheKey(key) !== null;
+  }
+
+  // Keys from earlier versions: "mz-scout-v1-<pid>" (before sports were
+  // tracked, always soccer) and "mz-scout-v1-<sport>-<pid>".
+  function currentKeyFor(key) {
+    const match = key.match(/^mz-scout-v1-(?:(soccer|hockey)-)?(\d+)$/);
+    return match ? getCacheKey(match[2], match[1] || "soccer") : key;
+  }
+
+  // v1 records only kept the highest/lowest lists; the fields added since
+  // are unknown until the report is fetched again.
+  function upgradeScoutData(scoutData) {
+    if (scoutData.modelVersion) return scoutData;
+    return {
+      modelVersion: 1,
+      potentialStars: null,
+      trainingSpeedStars: null,
+      scout: null,
+      reportDate: null,
+      ...scoutData,
+    };
+  }
+
+  const isStarCount = (n) => n == null || (Number.isInteger(n) && n >= 0);
+  const isSkillList = (list) =>
+    Array.isArray(list) && list.every((skill) => typeof skill === "string");
+
+  // Only complete reports are cached: both potential lists filled in. An
+  // empty or half-parsed report (login page, changed markup) must never
+  // stick around until it expires.
+  function isValidScoutData(scoutData) {
+    return (
+      !!scoutData &&
+      isSkillList(scoutData.highest) &&
+      isSkillList(scoutData.lowest) &&
+      scoutData.highest.length > 0 &&
+      scoutData.lowest.length > 0 &&
+      isStarCount(scoutData.starsHigh) &&
+      isStarCount(scoutData.starsLow)
+    );
+  }
+
+  function upgradeEntry(entry) {
+    return { ...entry, scoutData: upgradeScoutData(entry.scoutData) };
+  }
+
+  function entrySize(key, entry) {
+    return key.length + JSON.stringify(entry).length;
+  }
+
+  // Notes and skill history share chrome.storage.local; only the cache's
+  // own keys are read
+  async function getCacheKeys() {
+    return (await chrome.storage.local.getKeys()).filter(isCacheKey);
+  }
+
+  async function getAllEntries() {
+    const keys = await getCacheKeys();
+    if (!keys.length) return [];
+    return Object.entries(await chrome.storage.local.get(keys));
+  }
+
+  // Not expired, and not a bad parse cached before entries were validated
+  function isUsableEntry(entry, now) {
+    return (
+      !(entry.expires && now > entry.expires) &&
+      isValidScoutData(entry.scoutData)
+    );
+  }
+
+  async function getCachedScoutData(pid, sport) {
+    const key = getCacheKey(pid, sport);
+    const { [key]: entry } = await chrome.storage.local.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (!isUsableEntry(entry, now)) {
+      await chrome.storage.local.remove(key);
+      return null;
+    }
+
+    if (!entry.lastAccess || now - entry.lastAccess > ACCESS_TOUCH_MS) {
+      await chrome.storage.local.set({ [key]: { ...entry, lastAccess: now } });
+    }
+
+    // When it was cached shows up in the flag tooltips
+    return { ...entry.scoutData, cachedAt: entry.cached };
+  }
+
+  // The pids among `pids` with a usable cached report, read in one go.
+  // Unlike getCachedScoutData this isn't an access: lastAccess stays as
+  // it is, and unusable entries are left for the next lookup to remove.
+  async function getCachedPids(pids, sport) {
+    const keys = pids.map((pid) => getCacheKey(pid, sport));
+    const entries = await chrome.storage.local.get(keys);
+    const now = Date.now();
+    return new Set(
+      pids.filter((pid, i) => {
+        const entry = entries[keys[i]];
+        return entry && isUsableEntry(entry, now);
+      })
+    );
+  }
+
+  async function setCachedScoutData(pid, sport, scoutData, playerName) {
+    if (!isValidScoutData(scoutData)) {
+      throw new Error(`Refusing to cache incomplete scout data for ${pid}`);
+    }
+
+    const now = Date.now();
+    const key = getCacheKey(pid, sport);
+    if (!playerName) {
+      // Keep the name we already know when a refetch didn't supply one
+      const { [key]: previous } = await chrome.storage.local.get(key);
+      playerName = previous?.playerName;
+    }
+
+    // Scout reports never change, but expire them after a configurable time
+    const { cacheExpiryDays } = await MZSettings.load();
+    const entry = {
+      scoutData,
+      playerName: playerName || null,
+      expires: now + cacheExpiryDays * 24 * 60 * 60 * 1000,
+      cached: now,
+      lastAccess: now,
+    };
+
+    await chrome.storage.local.set({ [key]: entry });
+    await enforceBudget();
+  }
+
+  // Names come from the page that asked for the report, so they can show
+  // up after the report itself was cached
+  async function setPlayerName(pid, sport, playerName) {
+    const key = getCacheKey(pid, sport);
+    const { [key]: entry } = await chrome.storage.local.get(key);
+    if (!entry || !playerName || entry.playerName === playerName) return;
+    await chrome.storage.local.set({ [key]: { ...entry, playerName } });
+  }
+
+  async function deleteEntry(pid, sport) {
+    await chrome.storage.local.remove(getCacheKey(pid, sport));
+  }
+
+  // Every live entry with its pid/sport, for the popup's cache browser
+  async function listEntries() {
+    const now = Date.now();
+    return (await getAllEntries())
+      .filter(([, entry]) => !entry.expires || now <= entry.expires)
+      .map(([key, entry]) => ({
+        ...parseCacheKey(key),
+        playerName: entry.playerName || null,
+        scoutData: entry.scoutData,
+        cached: entry.cached,
+        expires: entry.expires,
+        lastAccess: entry.lastAccess,
+        size: entrySize(key, entry),
+      }));
+  }
+
+  // Drop expired entries, then evict least recently used ones until the
+  // cache fits both the entry and the byte budget.
+  async function enforceBudget() {
+    const now = Date.now();
+    const entries = await getAllEntries();
+    const expired = entries
+      .filter(([, entry]) => entry.expires && now > entry.expires)
+      .map(([key]) => key);
+
+    const live = entries
+      .filter(([key]) => !expired.includes(key))
+      .map(([key, entry]) => ({
+        key,
+        lastAccess: entry.lastAccess || entry.cached || 0,
+        size: entrySize(key, entry),
+      }))
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    let totalSize = live.reduce((size, e) => size + e.size, 0);
+    const evicted = [];
+    while (
+      live.length &&
+      (live.length > MAX_ENTRIES || totalSize > MAX_BYTES)
+    ) {
+      const oldest = live.shift();
+      totalSize -= oldest.size;
+      evicted.push(oldest.key);
+    }
+
+    const toRemove = [...expired, ...evicted];
+    if (toRemove.length) {
+      await chrome.storage.local.remove(toRemove);
+      log(
+        `Budget enforced - ${expired.length} expired, ${evicted.length} evicted`
+      );
+    }
+  }
+
+  async function clearScoutCache() {
+    const keys = await getCacheKeys();
+    await chrome.storage.local.remove(keys);
+    log(`Scout cache cleared - ${keys.length} items removed`);
+    return keys.length;
+  }
+
+  async function getCacheStats() {
+    const entries = await getAllEntries();
+    const totalSize = entries.reduce(
+      (size, [key, entry]) => size + entrySize(key, entry),
+      0
+    );
+
+    return {
+      totalCached: entries.length,
+      totalSize,
+      cacheKeys: entries.map(([key]) => key),
+      maxEntries: MAX_ENTRIES,
+      maxBytes: MAX_BYTES,
+    };
+  }
+
+  // Import entries a content script found in the page's localStorage
+  // (the pre-chrome.storage cache format). Newer entries already in
+  // chrome.storage win; expired legacy entries are dropped.
+  async function migrateLegacyEntries(legacyEntries) {
+    const now = Date.now();
+    const incoming = {};
+
+    for (const [legacyKey, raw] of Object.entries(legacyEntries || {})) {
+      try {
+        const entry = typeof raw === "string" ? JSON.parse(raw) : raw;
+        if (!isValidScoutData(entry?.scoutData)) continue;
+        if (entry.expires && now > entry.expires) continue;
+
+        const key = currentKeyFor(legacyKey);
+        if (!isCacheKey(key)) continue;
+
+        incoming[key] = {
+          ...upgradeEntry(entry),
+          lastAccess: entry.cached || now,
+        };
+      } catch (error) {
+        logE(`Skipping unreadable legacy entry ${legacyKey}:`, error);
+      }
+    }
+
+    const keys = Object.keys(incoming);
+    if (!keys.length) return 0;
+
+    const existing = await chrome.storage.local.get(keys);
+    const toWrite = {};
+    for (const key of keys) {
+      if (!existing[key]) toWrite[key] = incoming[key];
+    }
+
+    await chrome.storage.local.set(toWrite);
+    await enforceBudget();
+
+    const migrated = Object.keys(toWrite).length;
+    log(`Migrated ${migrated} legacy localStorage entries`);
+    return migrated;
+  }
+
+  // Move entries stored under older cache versions to current keys,
+  // upgrading their records on the way
+  async function migrateStoredEntries() {
+    const outdated = (await chrome.storage.local.getKeys()).filter(
+      (key) => currentKeyFor(key) !== key
+    );
+    if (!outdated.length) return 0;
+
+    const all = await chrome.storage.local.get([
+      ...outdated,
+      ...outdated.map(currentKeyFor),
+    ]);
+
+    const toWrite = {};
+    for (const key of outdated) {
+      const newKey = currentKeyFor(key);
+      if (all[newKey]) continue; // Already refetched under the new version
+      toWrite[newKey] = upgradeEntry(all[key]);
+    }
+    await chrome.storage.local.set(toWrite);
+    await chrome.storage.local.remove(outdated);
+
+    log(`Migrated ${outdated.length} cache entries to ${CACHE_VERSION}`);
+    return outdated.length;
+  }
+
+  // ---- Export / import ----
+  const EXPORT_FORMAT = "mz-tools-scout-cache";
+  const EXPORT_VERSION = 1;
+
+  async function exportEntries() {
+    const entries = (await listEntries()).map(
+      ({ pid, sport, playerName, scoutData, cached, expires }) => ({
+        pid,
+        sport,
+        playerName,
+        scoutData,
+        cached,
+        expires,
+      })
+    );
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: Date.now(),
+      entries,
+    };
+  }
+
+  function isValidImportEntry(entry) {
+    return (
+      entry &&
+      /^\d+$/.test(String(entry.pid)) &&
+      MZSports.isSport(entry.sport ?? MZSports.DEFAULT_SPORT) &&
+      Number.isFinite(entry.cached) &&
+      Number.isFinite(entry.expires) &&
+      isValidScoutData(entry.scoutData)
+    );
+  }
+
+  // Merge an export file into the cache. Entries are matched by sport+pid
+  // and the more recently cached report wins; expired ones are skipped.
+  async function importEntries(payload) {
+    if (payload?.format !== EXPORT_FORMAT || !Array.isArray(payload.entries)) {
+      throw new Error("Not a ManagerZone Tools scout export");
+    }
+    if (payload.version > EXPORT_VERSION) {
+      throw new Error(`Unsupported export version ${payload.version}`);
+    }
+
+    const now = Date.now();
+    const result = { imported: 0, skipped: 0, expired: 0, invalid: 0 };
+    const incoming = {};
+
+    for (const entry of payload.entries) {
+      if (!isValidImportEntry(entry)) {
+        result.invalid++;
+        continue;
+      }
+      if (now > entry.expires) {
+        result.expired++;
+        continue;
+      }
+
+      const key = getCacheKey(
+        String(entry.pid),
+        entry.sport ?? MZSports.DEFAULT_SPORT
+      );
+      incoming[key] = {
+        scoutData: upgradeScoutData(entry.scoutData),
+        playerName: entry.playerName || null,
+        expires: entry.expires,
+        cached: entry.cached,
+        lastAccess: now,
+      };
+    }
+
+    const keys = Object.keys(incoming);
+    const existing = keys.length ? await chrome.storage.local.get(keys) : {};
+    const toWrite = {};
+    for (const key of keys) {
+      const current = existing[key];
+      if (current && current.cached >= incoming[key].cached) {
+        result.skipped++;
+        continue;
+      }
+      toWrite[key] = {
+        ...incoming[key],
+        playerName: incoming[key].playerName || current?.playerName || null,
+      };
+      result.imported++;
+    }
+
+    if (result.imported) {
+      await chrome.storage.local.set(toWrite);
+      await enforceBudget();
+    }
+
+    log(
+      `Imported ${result.imported} entries (${result.skipped} older, ${result.expired} expired, ${result.invalid} invalid)`
+    );
+    return result;
+  }
+
+  return {
+    CACHE_KEY_PREFIX,
+    getCacheKey,
+    parseCacheKey,
+    getCachedScoutData,
+    getCachedPids,
+    setCachedScoutData,
+    setPlayerName,
+    deleteEntry,
+    listEntries,
+    exportEntries,
+    importEntries,
+    clearScoutCache,
+    getCacheStats,
+    migrateLegacyEntries,
+    migrateStoredEntries,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZCache;
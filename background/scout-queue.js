@@ -0,0 +1,418 @@
+// Global scout report request queue shared by every tab.
+// Paces requests to ManagerZone, retries with exponential backoff and
+// deduplicates in-flight requests by pid.
+const MZQueue = (() => {
+  const BACKOFF_BASE_MS = 1000;
+  const BACKOFF_MAX_MS = 60 * 1000;
+  const MAX_FAILED_HISTORY = 50;
+
+  // Lower value runs first
+  const PRIORITY = { VISIBLE: 0, NORMAL: 1, BACKGROUND: 2 };
+
+  function log(...message) {
+    console.log("[MZ Tools][background/scout-queue]", ...message);
+  }
+
+  function logE(...message) {
+    console.error("[MZ Tools][background/scout-queue]", ...message);
+  }
+
+  // Request pacing comes from the user's settings (options page)
+  let config = {
+    requestsPerSecond: MZSettings.DEFAULTS.requestsPerSecond,
+    maxConcurrent: 2,
+    maxRetries: 4,
+  };
+
+  function applySettings(settings) {
+    config = { ...config, requestsPerSecond: settings.requestsPerSecond };
+    pump();
+  }
+
+  const configLoaded = MZSettings.load().then(applySettings);
+  MZSettings.onChange(applySettings);
+
+  const pending = []; // jobs waiting to start, kept sorted by priority
+  const jobsByKey = new Map(); // "sport:pid" -> job (pending or in flight)
+  // Most recent first: { key, pid, sport, error, at, attempts }
+  const failed = [];
+  let inFlight = 0;
+  let lastStartAt = 0;
+  let pausedUntil = 0; // set when the server asks us to slow down (429)
+  let pumpTimer = null;
+
+  class HttpError extends Error {
+    constructor(status, retryAfterMs) {
+      super(`HTTP ${status}`);
+      this.status = status;
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  // The request never got an answer (offline, DNS, connection reset)
+  class NetworkError extends Error {}
+
+  // Only an unanswered request, a rate limit or a server error can go
+  // better next time; anything else (a definite answer from the parser,
+  // a report the cache refuses) fails right away
+  function isRetryable(error) {
+    if (error instanceof NetworkError) return true;
+    if (!(error instanceof HttpError)) return false;
+    return error.status === 429 || error.status >= 500;
+  }
+
+  // What callers get once retrying is over: a ScoutError with a code they
+  // can show (see shared/scout-errors.js)
+  function classifyError(error) {
+    const { CODES, ScoutError } = MZErrors;
+    if (error instanceof ScoutError) return error;
+    if (error.status === 429) {
+      return new ScoutError(CODES.RATE_LIMITED, "Rate limited by ManagerZone");
+    }
+    if (error instanceof HttpError) {
+      return new ScoutError(CODES.NETWORK, `Server error (${error.message})`);
+    }
+    if (error instanceof NetworkError) {
+      return new ScoutError(CODES.NETWORK, "ManagerZone not reachable");
+    }
+    return error;
+  }
+
+  // Whether ManagerZone still accepts our session, as of the last fetch
+  // (null until something was fetched); the popup warns when it doesn't
+  const session = { valid: null, checkedAt: 0 };
+
+  function noteSession(valid) {
+    if (session.valid !== valid) {
+      log(valid ? "Session valid" : "Session expired, not logged in");
+    }
+    session.valid = valid;
+    session.checkedAt = Date.now();
+  }
+
+  function backoffDelay(attempt) {
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+    return delay / 2 + Math.random() * (delay / 2); // jitter
+  }
+
+  function parseRetryAfter(res) {
+    const header = res.headers.get("Retry-After");
+    if (!header) return undefined;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+
+  // ---- Offscreen parsing ----
+  let offscreenReady = null;
+
+  async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+    });
+    if (contexts.length) return;
+
+    if (!offscreenReady) {
+      offscreenReady = chrome.offscreen
+        .createDocument({
+          url: "offscreen.html",
+          reasons: ["DOM_PARSER"],
+          justification: "Parse ManagerZone scout report HTML",
+        })
+        .finally(() => {
+          offscreenReady = null;
+        });
+    }
+    await offscreenReady;
+  }
+
+  async function sendToOffscreen(type, html, lang) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      type,
+      html,
+      lang,
+    });
+    if (!response) throw new Error("Parser not responding");
+    if (response.error) throw MZErrors.fromResponse(response);
+    return response;
+  }
+
+  async function parseInOffscreen(html, lang) {
+    return (await sendToOffscreen("PARSE_SCOUT_HTML", html, lang)).scoutData;
+  }
+
+  // ---- Fetching ----
+  async function fetchHTML(url) {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "GET",
+        credentials: "include",
+        headers: { Accept: "text/html, */*;q=0.1" },
+        cache: "no-store",
+      });
+    } catch (error) {
+      // fetch rejects with a TypeError when no response arrives
+      if (error instanceof TypeError) throw new NetworkError(error.message);
+      throw error;
+    }
+    if (!res.ok) throw new HttpError(res.status, parseRetryAfter(res));
+    return res.text();
+  }
+
+  const fetchScoutHTML = (pid, sport) =>
+    fetchHTML(MZSports.scoutUrl(pid, sport));
+
+  async function fetchAndParse({ pid, sport, lang, playerName }) {
+    log(`Fetching ${sport} scout data from server for player ${pid}`);
+    const html = await fetchScoutHTML(pid, sport);
+
+    let scoutData;
+    try {
+      scoutData = await parseInOffscreen(html, lang);
+    } catch (error) {
+      if (error.code === MZErrors.CODES.NOT_LOGGED_IN) noteSession(false);
+      throw error;
+    }
+    noteSession(true);
+
+    // Cache the result for future use; the parser only returns complete
+    // reports, and the cache refuses anything else as well
+    await MZCache.setCachedScoutData(pid, sport, scoutData, playerName);
+
+    return { ...scoutData, cachedAt: Date.now() };
+  }
+
+  // ---- Scheduling ----
+  function insertByPriority(job) {
+    const index = pending.findIndex((other) => other.priority > job.priority);
+    if (index === -1) pending.push(job);
+    else pending.splice(index, 0, job);
+  }
+
+  function schedulePump(delayMs) {
+    if (pumpTimer) return;
+    pumpTimer = setTimeout(() => {
+      pumpTimer = null;
+      pump();
+    }, Math.max(0, delayMs));
+  }
+
+  function pump() {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      schedulePump(pausedUntil - now);
+      return;
+    }
+
+    const gapMs = 1000 / Math.max(config.requestsPerSecond, 0.1);
+    while (pending.length && inFlight < config.maxConcurrent) {
+      const wait = lastStartAt + gapMs - Date.now();
+      if (wait > 0) {
+        schedulePump(wait);
+        return;
+      }
+
+      // Highest priority job that isn't still backing off
+      const index = pending.findIndex((job) => job.notBefore <= Date.now());
+      if (index === -1) {
+        const nextReady = Math.min(...pending.map((job) => job.notBefore));
+        schedulePump(nextReady - Date.now());
+        return;
+      }
+
+      const [job] = pending.splice(index, 1);
+      lastStartAt = Date.now();
+      runJob(job);
+    }
+  }
+
+  async function runJob(job) {
+    inFlight++;
+    job.attempts++;
+    try {
+      const scoutData = await fetchAndParse(job);
+      jobsByKey.delete(job.key);
+      job.resolve(scoutData);
+    } catch (error) {
+      if (error.status === 429) {
+        pausedUntil =
+          Date.now() + (error.retryAfterMs ?? backoffDelay(job.attempts));
+        log(`Rate limited, pausing queue for ${pausedUntil - Date.now()} ms`);
+      }
+
+      if (isRetryable(error) && job.attempts <= config.maxRetries) {
+        job.notBefore = Date.now() + backoffDelay(job.attempts);
+        logE(
+          `Scout fetch for ${job.pid} failed (${error.message}), retry ${job.attempts}/${config.maxRetries}`
+        );
+        insertByPriority(job);
+      } else {
+        const classified = classifyError(error);
+        jobsByKey.delete(job.key);
+        recordFailure(job, classified);
+        job.reject(classified);
+      }
+    } finally {
+      inFlight--;
+      pump();
+    }
+  }
+
+  function recordFailure(job, error) {
+    const index = failed.findIndex((f) => f.key === job.key);
+    if (index !== -1) failed.splice(index, 1);
+    failed.unshift({
+      key: job.key,
+      pid: job.pid,
+      sport: job.sport,
+      error: error.message,
+      code: error.code || null,
+      at: Date.now(),
+      attempts: job.attempts,
+    });
+    failed.length = Math.min(failed.length, MAX_FAILED_HISTORY);
+  }
+
+  // Returns cached data when available, otherwise queues a fetch.
+  // Concurrent requests for the same pid share one network request.
+  // `force` skips the cache lookup so a report can be fetched again.
+  async function requestScout(
+    pid,
+    sport = MZSports.DEFAULT_SPORT,
+    { priority = PRIORITY.NORMAL, lang, playerName, force = false } = {}
+  ) {
+    if (!force) {
+      const cachedData = await MZCache.getCachedScoutData(pid, sport);
+      if (cachedData) {
+        log(`Using cached scout data for player ${pid}`);
+        if (playerName) await MZCache.setPlayerName(pid, sport, playerName);
+        return cachedData;
+      }
+    }
+
+    await configLoaded;
+
+    const key = `${sport}:${pid}`;
+    const existing = jobsByKey.get(key);
+    if (existing) {
+      if (priority < existing.priority) {
+        existing.priority = priority;
+        const index = pending.indexOf(existing);
+        if (index !== -1) {
+          pending.splice(index, 1);
+          insertByPriority(existing);
+        }
+      }
+      existing.playerName ||= playerName;
+      existing.lang ||= lang;
+      return existing.promise;
+    }
+
+    const job = {
+      key,
+      pid,
+      sport,
+      lang,
+      playerName,
+      priority,
+      attempts: 0,
+      notBefore: 0,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    jobsByKey.set(key, job);
+    insertByPriority(job);
+    pump();
+
+    return job.promise;
+  }
+
+  function getQueueState() {
+    return {
+      pending: pending.map((job) => ({
+        pid: job.pid,
+        sport: job.sport,
+        priority: job.priority,
+        attempts: job.attempts,
+      })),
+      inFlight,
+      failed: [...failed],
+      pausedUntil: pausedUntil > Date.now() ? pausedUntil : 0,
+      session: { ...session },
+      config: { ...config },
+    };
+  }
+
+  // Drops background-priority jobs for these pids that haven't started;
+  // jobs a page has since asked for (higher priority) are left to run.
+  // Returns the number of jobs dropped.
+  function cancelPending(sport, pids) {
+    const keys = new Set(pids.map((pid) => `${sport}:${pid}`));
+    const dropped = pending.filter(
+      (job) => keys.has(job.key) && job.priority === PRIORITY.BACKGROUND
+    );
+    for (const job of dropped) {
+      pending.splice(pending.indexOf(job), 1);
+      jobsByKey.delete(job.key);
+      job.reject(
+        new MZErrors.ScoutError(MZErrors.CODES.CANCELLED, "Cancelled")
+      );
+    }
+    if (dropped.length) log(`Cancelled ${dropped.length} queued fetches`);
+    return dropped.length;
+  }
+
+  // The user's squad (pids and names) read from the players page; a single
+  // fetch outside the queue, like the diagnostics one below
+  async function fetchSquad(sport = MZSports.DEFAULT_SPORT) {
+    log(`Fetching ${sport} squad list`);
+    let squad;
+    try {
+      const html = await fetchHTML(MZSports.squadUrl(sport));
+      ({ squad } = await sendToOffscreen("PARSE_SQUAD_HTML", html));
+    } catch (error) {
+      if (error.code === MZErrors.CODES.NOT_LOGGED_IN) noteSession(false);
+      throw classifyError(error);
+    }
+    noteSession(true);
+    return squad;
+  }
+
+  // Diagnostics: one unqueued, uncached fetch of a report, run through the
+  // parser's selector checks (shared/scout-parser.js diagnoseScoutHTML)
+  async function diagnoseScout(pid, sport = MZSports.DEFAULT_SPORT, lang) {
+    log(`Diagnosing ${sport} scout report for player ${pid}`);
+    const html = await fetchScoutHTML(pid, sport);
+    const { diagnosis } = await sendToOffscreen(
+      "DIAGNOSE_SCOUT_HTML",
+      html,
+      lang
+    );
+    return diagnosis;
+  }
+
+  async function setQueueConfig({ requestsPerSecond }) {
+    // Stored as a setting; applySettings picks it up via onChange
+    await MZSettings.update({ requestsPerSecond });
+    log(`Queue pacing set to ${requestsPerSecond} requests/sec`);
+    return { ...config, requestsPerSecond };
+  }
+
+  return {
+    PRIORITY,
+    requestScout,
+    getQueueState,
+    setQueueConfig,
+    cancelPending,
+    fetchSquad,
+    diagnoseScout,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZQueue;
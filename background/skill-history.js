@@ -0,0 +1,112 @@
+// Skill history: timestamped snapshots of a player's skill levels, recorded
+// by the content scripts on visits to the user's own squad and kept in
+// chrome.storage.local.
+const MZHistory = (() => {
+  const KEY_PREFIX = "mz-history-v1-";
+
+  // A snapshot is only stored when something changed, so this covers far
+  // more than MAX_SNAPSHOTS visits
+  const MAX_SNAPSHOTS = 100;
+
+  // Players no longer seen (sold, retired) are evicted first. Next to the
+  // scout cache's 4 MB this keeps well inside chrome.storage.local's ~10 MB.
+  const MAX_PLAYERS = 100;
+  const MAX_BYTES = 2 * 1024 * 1024;
+
+  function log(...message) {
+    console.log("[MZ Tools][background/skill-history]", ...message);
+  }
+
+  function getHistoryKey(pid, sport = MZSports.DEFAULT_SPORT) {
+    return `${KEY_PREFIX}${sport}-${pid}`;
+  }
+
+  function isHistoryKey(key) {
+    return key.startsWith(KEY_PREFIX);
+  }
+
+  function sameValues(a = {}, b = {}) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => a[key] === b[key]);
+  }
+
+  function isValidSnapshot(snapshot) {
+    return (
+      snapshot &&
+      typeof snapshot.levels === "object" &&
+      Object.keys(snapshot.levels).length > 0
+    );
+  }
+
+  // Oldest first
+  async function getHistory(pid, sport) {
+    const key = getHistoryKey(pid, sport);
+    const { [key]: history } = await chrome.storage.local.get(key);
+    return history || [];
+  }
+
+  // Appends the snapshot when the levels differ from the latest one;
+  // otherwise only notes that they were seen again.
+  async function recordSnapshot(pid, sport, { levels }) {
+    if (!isValidSnapshot({ levels })) {
+      throw new Error("Snapshot has no skill levels");
+    }
+
+    const key = getHistoryKey(pid, sport);
+    const history = await getHistory(pid, sport);
+    const latest = history[history.length - 1];
+    const now = Date.now();
+
+    const changed = !latest || !sameValues(latest.levels, levels);
+    if (changed) {
+      history.push({ at: now, seen: now, levels });
+      if (history.length > MAX_SNAPSHOTS) history.shift();
+      if (latest) log(`New snapshot for ${sport} player ${pid}`);
+    } else {
+      latest.seen = now;
+    }
+
+    await chrome.storage.local.set({ [key]: history });
+    // Only a new snapshot can take the history over budget
+    if (changed) await enforceBudget();
+    return history;
+  }
+
+  // Evicts the players seen least recently until the history fits both
+  // the player and the byte budget
+  async function enforceBudget() {
+    const keys = (await chrome.storage.local.getKeys()).filter(isHistoryKey);
+    const all = await chrome.storage.local.get(keys);
+    const players = Object.entries(all)
+      .map(([key, history]) => ({
+        key,
+        seen: history[history.length - 1]?.seen || 0,
+        size: key.length + JSON.stringify(history).length,
+      }))
+      .sort((a, b) => a.seen - b.seen);
+
+    let totalSize = players.reduce((size, p) => size + p.size, 0);
+    const evicted = [];
+    while (
+      players.length &&
+      (players.length > MAX_PLAYERS || totalSize > MAX_BYTES)
+    ) {
+      const oldest = players.shift();
+      totalSize -= oldest.size;
+      evicted.push(oldest.key);
+    }
+
+    if (evicted.length) {
+      await chrome.storage.local.remove(evicted);
+      log(`History budget enforced - ${evicted.length} players evicted`);
+    }
+  }
+
+  async function deleteHistory(pid, sport) {
+    await chrome.storage.local.remove(getHistoryKey(pid, sport));
+  }
+
+  return { MAX_PLAYERS, getHistory, recordSnapshot, deleteHistory };
+})();
+
+if (typeof module !== "undefined") module.exports = MZHistory;
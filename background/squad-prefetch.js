@@ -0,0 +1,104 @@
+// "Warm cache for my squad" (popup): reads the user's squad from the
+// players page and queues every player without a fresh cached report at
+// background priority, so pages the user is looking at still go first.
+// One run at a time; the popup polls getState() for progress.
+const MZPrefetch = (() => {
+  function log(...message) {
+    console.log("[MZ Tools][background/squad-prefetch]", ...message);
+  }
+
+  function logE(...message) {
+    console.error("[MZ Tools][background/squad-prefetch]", ...message);
+  }
+
+  // { sport, stage: "listing" | "fetching" | "done", squadSize, cached,
+  //   total, fetched, failed, cancelled, error, startedAt, finishedAt }
+  let run = null;
+  let queuedPids = [];
+
+  function getState() {
+    return run && { ...run, running: run.stage !== "done" };
+  }
+
+  // Checking the cache doesn't count as using the reports, so it leaves
+  // the least recently used order alone
+  async function findMissing(players, sport) {
+    const cached = await MZCache.getCachedPids(
+      players.map(({ pid }) => pid),
+      sport
+    );
+    return players.filter(({ pid }) => !cached.has(pid));
+  }
+
+  async function warmSquad(current) {
+    const { sport } = current;
+    try {
+      const { players, lang } = await MZQueue.fetchSquad(sport);
+      const missing = await findMissing(players, sport);
+      Object.assign(current, {
+        stage: "fetching",
+        squadSize: players.length,
+        cached: players.length - missing.length,
+        total: missing.length,
+      });
+      log(`${missing.length} of ${players.length} ${sport} players to fetch`);
+      if (current.cancelled) return;
+
+      queuedPids = missing.map(({ pid }) => pid);
+      await Promise.all(
+        missing.map(({ pid, name }) =>
+          MZQueue.requestScout(pid, sport, {
+            priority: MZQueue.PRIORITY.BACKGROUND,
+            lang,
+            playerName: name,
+          }).then(
+            () => current.fetched++,
+            (error) => {
+              if (error.code !== MZErrors.CODES.CANCELLED) current.failed++;
+            }
+          )
+        )
+      );
+    } catch (error) {
+      logE("Squad prefetch failed:", error);
+      current.error = MZErrors.toResponse(error);
+    } finally {
+      current.stage = "done";
+      current.finishedAt = Date.now();
+      queuedPids = [];
+    }
+  }
+
+  // Starts a run unless one is going; returns the current state
+  function start(sport = MZSports.DEFAULT_SPORT) {
+    if (run && run.stage !== "done") return getState();
+
+    run = {
+      sport,
+      stage: "listing",
+      squadSize: 0,
+      cached: 0,
+      total: 0,
+      fetched: 0,
+      failed: 0,
+      cancelled: false,
+      error: null,
+      startedAt: Date.now(),
+      finishedAt: null,
+    };
+    warmSquad(run);
+    return getState();
+  }
+
+  // Drops the fetches that haven't started; the ones in flight finish
+  function cancel() {
+    if (!run || run.stage === "done") return getState();
+    run.cancelled = true;
+    MZQueue.cancelPending(run.sport, queuedPids);
+    return getState();
+  }
+
+  return { start, cancel, getState };
+})();
+
+if (typeof module !== "undefined") module.exports = MZPrefetch;
@@ -0,0 +1,301 @@
+// Players page: toolbar that sorts and filters the player cards client-side
+// by scout criteria. Cards are only moved or hidden, never rebuilt, so the
+// flags inside them stay as they are.
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromContainer,
+    getSkillRows,
+    getPlayerAge,
+    getPotentialById,
+    processedPlayers,
+    onPlayerProcessed,
+    getScoutState,
+    requestAllScouts,
+    onCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log } = createLogger("content/card-toolbar");
+
+  const TOOLBAR_ID = "mz-card-toolbar";
+  const HIDDEN_CLASS = "mz-card-hidden";
+  const APPLY_DELAY_MS = 150;
+
+  const AGE_BRACKETS = {
+    "": { label: "All ages" },
+    youth: { label: "≤ 18", max: 18 },
+    young: { label: "19–21", min: 19, max: 21 },
+    prime: { label: "22–25", min: 22, max: 25 },
+    experienced: { label: "26–29", min: 26, max: 29 },
+    veteran: { label: "30+", min: 30 },
+  };
+
+  const SORTS = {
+    site: "Site order",
+    starsHigh: "Highest potential ★",
+    ageAsc: "Youngest first",
+    ageDesc: "Oldest first",
+  };
+
+  // Toolbar state is kept across the site's own DOM swaps
+  const state = {
+    sort: "site",
+    skill: "",
+    kind: "high",
+    unscoutedOnly: false,
+    ageBracket: "",
+  };
+
+  // The site's order, so "Site order" can be restored after sorting
+  const siteOrder = new WeakMap();
+  let nextSiteIndex = 0;
+
+  function rememberSiteOrder(containers) {
+    for (const container of containers) {
+      if (!siteOrder.has(container)) siteOrder.set(container, nextSiteIndex++);
+    }
+  }
+
+  // Filtering or sorting on scout data needs every card's report, not
+  // only the ones scrolled near so far
+  const usesScoutData = () =>
+    !!state.skill || state.unscoutedOnly || state.sort === "starsHigh";
+
+  function describeCard(container) {
+    const pid = getPlayerIdFromContainer(container);
+    const scoutData = pid ? processedPlayers.get(pid) : null;
+    return {
+      container,
+      scoutData,
+      // Cards without an id never get a report
+      scoutState: pid ? getScoutState(pid) : "none",
+      age: getPlayerAge(container),
+      potentials: scoutData
+        ? getPotentialById(scoutData, getSkillRows(container))
+        : new Map(),
+    };
+  }
+
+  // Cards whose report isn't loaded yet only show once it is, when a
+  // filter depends on it
+  function isVisible(card) {
+    if (state.unscoutedOnly && card.scoutState !== "none") return false;
+
+    if (state.skill) {
+      const potential = card.potentials.get(state.skill);
+      if (potential?.kind !== state.kind) return false;
+    }
+
+    const bracket = AGE_BRACKETS[state.ageBracket];
+    if (bracket.min != null && !(card.age >= bracket.min)) return false;
+    if (bracket.max != null && !(card.age <= bracket.max)) return false;
+
+    return true;
+  }
+
+  // Scouted cards by stars, then the ones still loading, then the ones
+  // without a report
+  function starsRank(card) {
+    if (card.scoutState === "scouted") return card.scoutData.starsHigh ?? 0;
+    return card.scoutState === "pending" ? -1 : -2;
+  }
+
+  function compareCards(a, b) {
+    const bySite = siteOrder.get(a.container) - siteOrder.get(b.container);
+    switch (state.sort) {
+      case "starsHigh":
+        return starsRank(b) - starsRank(a) || bySite;
+      case "ageAsc":
+        return (a.age ?? Infinity) - (b.age ?? Infinity) || bySite;
+      case "ageDesc":
+        return (b.age ?? -1) - (a.age ?? -1) || bySite;
+      default:
+        return bySite;
+    }
+  }
+
+  // Move cards into order in place: everything ends up, in sorted order,
+  // right where the last card used to be
+  function reorder(cards) {
+    const parent = cards[0]?.container.parentElement;
+    if (!parent || cards.some((c) => c.container.parentElement !== parent)) {
+      return; // Cards split across sections; leave the site's order alone
+    }
+
+    const sorted = [...cards].sort(compareCards);
+    if (sorted.every((card, i) => card === cards[i])) return;
+
+    const anchor = cards[cards.length - 1].container.nextSibling;
+    for (const card of sorted) parent.insertBefore(card.container, anchor);
+  }
+
+  function apply() {
+    const containers = getPlayerContainers();
+    const enabled = isPageEnabled() && isFeatureEnabled("cardToolbar");
+    if (!enabled || !containers.length) {
+      toolbar?.el.remove();
+      containers.forEach((c) => c.classList.remove(HIDDEN_CLASS));
+      return;
+    }
+
+    // Hidden cards never scroll into view, so they have to be asked for
+    if (usesScoutData()) requestAllScouts();
+
+    rememberSiteOrder(containers);
+    const cards = containers.map(describeCard);
+
+    reorder(cards);
+    let shown = 0;
+    for (const card of cards) {
+      const visible = isVisible(card);
+      card.container.classList.toggle(HIDDEN_CLASS, !visible);
+      if (visible) shown++;
+    }
+
+    const loading = usesScoutData()
+      ? cards.filter((card) => card.scoutState === "pending").length
+      : 0;
+    renderToolbar(getPlayerContainers(), shown, cards.length, loading);
+  }
+
+  // ---- Toolbar ----
+  // Built once, so an open <select> survives the applies that follow
+  // every report coming in; those only update the values and the count
+  let toolbar = null;
+
+  function select(options, onChange) {
+    const el = document.createElement("select");
+    for (const [value, text] of options) el.add(new Option(text, value));
+    el.addEventListener("change", () => onChange(el.value));
+    return el;
+  }
+
+  function skillOptions(containers) {
+    const { skills } = MZSports.getSportConfig(getSport());
+    const names = new Map(
+      getSkillRows(containers[0]).map(({ id, name }) => [id, name])
+    );
+    return [
+      ["", "Any skill"],
+      ...skills.map((id) => [id, names.get(id) || id]),
+    ];
+  }
+
+  function update(changes) {
+    Object.assign(state, changes);
+    apply();
+  }
+
+  function buildToolbar() {
+    const el = document.createElement("div");
+    el.id = TOOLBAR_ID;
+    el.className = "mz-card-toolbar";
+
+    const controls = {
+      sort: select(Object.entries(SORTS), (sort) => update({ sort })),
+      kind: select(
+        [
+          ["high", "High in"],
+          ["low", "Low in"],
+        ],
+        (kind) => update({ kind })
+      ),
+      skill: select([], (skill) => update({ skill })),
+      ageBracket: select(
+        Object.entries(AGE_BRACKETS).map(([key, b]) => [key, b.label]),
+        (ageBracket) => update({ ageBracket })
+      ),
+    };
+
+    const unscouted = document.createElement("label");
+    const unscoutedBox = document.createElement("input");
+    unscoutedBox.type = "checkbox";
+    unscoutedBox.addEventListener("change", () =>
+      update({ unscoutedOnly: unscoutedBox.checked })
+    );
+    unscouted.append(unscoutedBox, " No scout report");
+
+    const count = document.createElement("span");
+    count.className = "mz-card-toolbar-count";
+
+    el.append(
+      "Sort ",
+      controls.sort,
+      " Filter ",
+      controls.kind,
+      controls.skill,
+      controls.ageBracket,
+      unscouted,
+      count
+    );
+    return { el, controls, unscoutedBox, count, skillKey: null };
+  }
+
+  function renderToolbar(containers, shown, total, loading) {
+    // The site's re-render may have taken the toolbar with it
+    if (!toolbar?.el.isConnected) toolbar = buildToolbar();
+    const { el, controls, unscoutedBox, count } = toolbar;
+
+    // Keep the toolbar directly above the cards
+    const anchor = containers[0];
+    if (el.nextSibling !== anchor) {
+      anchor.parentElement.insertBefore(el, anchor);
+    }
+
+    // The skill names come from the cards, so they can turn up later
+    const options = skillOptions(containers);
+    const skillKey = options.map((option) => option.join(":")).join();
+    if (skillKey !== toolbar.skillKey) {
+      toolbar.skillKey = skillKey;
+      controls.skill.replaceChildren(
+        ...options.map(([value, text]) => new Option(text, value))
+      );
+    }
+
+    for (const [key, control] of Object.entries(controls)) {
+      control.value = state[key];
+    }
+    unscoutedBox.checked = state.unscoutedOnly;
+    count.textContent =
+      `Showing ${shown} of ${total}` +
+      (loading ? `, ${loading} reports still loading` : "");
+  }
+
+  let applyTimer = null;
+  function scheduleApply() {
+    clearTimeout(applyTimer);
+    applyTimer = setTimeout(apply, APPLY_DELAY_MS);
+  }
+
+  // The site re-renders the card list when its own filters change; put our
+  // sort and filter back on top of whatever it shows now. (Our own moves
+  // are reported as neither added nor removed.)
+  function handleCardsChanged({ added, removed }) {
+    if (added.length || removed.length) scheduleApply();
+  }
+
+  async function initialize() {
+    if (getPageType() !== "players") return;
+
+    await whenSettingsReady();
+    log("Initializing player card toolbar");
+
+    onPlayerProcessed(scheduleApply);
+    onSettingsChange(scheduleApply);
+    onCardsChanged(handleCardsChanged);
+    scheduleApply();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
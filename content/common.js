@@ -0,0 +1,899 @@
+// Shared helpers for the content page modules: background messaging,
+// player id lookup, flag injection and header status rendering.
+const MZCommon = (() => {
+  // Legacy page-localStorage cache, migrated to the background cache on startup
+  const LEGACY_CACHE_KEY_PREFIX = "mz-scout-";
+
+  // Request priorities understood by the background queue (lower runs first)
+  const PRIORITY = { VISIBLE: 0, NORMAL: 1, BACKGROUND: 2 };
+
+  function createLogger(scope) {
+    return {
+      log: (...message) => console.log(`[MZ Tools][${scope}]`, ...message),
+      logE: (...message) => console.error(`[MZ Tools][${scope}]`, ...message),
+    };
+  }
+
+  const { log, logE } = createLogger("content/common");
+
+  // ---- Page detection ----
+  // ManagerZone routes everything through ?p=<page>
+  function getPageType() {
+    const page = new URLSearchParams(location.search).get("p");
+    if (page === "players") return "players";
+    if (page === "transfer") return "transfer";
+    if (page === "youth_academy") return "youthAcademy";
+    if (page === "youth_exchange") return "youthExchange";
+    return "other";
+  }
+
+  // The players page lists the user's own squad unless it carries another
+  // team's id (?tid=) or shows a single player (?pid=)
+  function isOwnSquadPage() {
+    const params = new URLSearchParams(location.search);
+    return (
+      getPageType() === "players" && !params.has("tid") && !params.has("pid")
+    );
+  }
+
+  // ---- Settings ----
+  // Kept current via chrome.storage.onChanged so modules can react live
+  let settings = MZSettings.withDefaults();
+  const settingsListeners = [];
+  const settingsReady = MZSettings.load().then((loaded) => {
+    settings = loaded;
+  });
+
+  MZSettings.onChange((changed) => {
+    settings = changed;
+    settingsListeners.forEach((callback) => callback(settings));
+  });
+
+  function getSettings() {
+    return settings;
+  }
+
+  function whenSettingsReady() {
+    return settingsReady;
+  }
+
+  function onSettingsChange(callback) {
+    settingsListeners.push(callback);
+  }
+
+  function isPageEnabled(pageType = getPageType()) {
+    return settings.pages[pageType] !== false;
+  }
+
+  function isFeatureEnabled(feature) {
+    return settings.features[feature] !== false;
+  }
+
+  // Neither the sport nor the site language can change without a page
+  // load, so detect them once
+  let currentSport = null;
+  function getSport() {
+    if (!currentSport) currentSport = MZSports.detectSport(document);
+    return currentSport;
+  }
+
+  // null when the page doesn't say; skill names are then looked up in
+  // every dictionary
+  let currentLanguage;
+  function getLanguage() {
+    if (currentLanguage === undefined) {
+      currentLanguage = MZLocales.detectLanguage(document);
+      if (!currentLanguage) {
+        log("Page language unknown, trying every dictionary");
+      } else if (!MZLocales.hasDictionary(currentLanguage)) {
+        log(`No dictionary for "${currentLanguage}", matching skills by row`);
+      }
+    }
+    return currentLanguage;
+  }
+
+  // ---- Background communication ----
+  // The cache and the request queue live in background.js
+  async function sendToBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response?.error) throw MZErrors.fromResponse(response);
+    return response;
+  }
+
+  // Move entries written by older versions into the background cache
+  async function migrateLegacyCache() {
+    try {
+      const keys = Object.keys(localStorage).filter((key) =>
+        key.startsWith(LEGACY_CACHE_KEY_PREFIX)
+      );
+      if (!keys.length) return;
+
+      const entries = {};
+      for (const key of keys) entries[key] = localStorage.getItem(key);
+
+      const { migratedCount } = await sendToBackground({
+        type: "CACHE_MIGRATE_LEGACY",
+        entries,
+      });
+
+      for (const key of keys) localStorage.removeItem(key);
+      log(
+        `Legacy cache migrated - ${migratedCount} of ${keys.length} items kept`
+      );
+    } catch (error) {
+      logE("Error migrating legacy cache:", error);
+    }
+  }
+
+  function getPlayerIdFromContainer(container) {
+    // Preferred: span#player_id_<PID> .player_id_span => textContent
+    const idSpan = container.querySelector(
+      "[id^='player_id_'] .player_id_span"
+    );
+    if (idSpan?.textContent?.trim()) {
+      return idSpan.textContent.trim();
+    } else {
+      logE(`Cannot find player ID, idSpan=${idSpan}`);
+      return null;
+    }
+  }
+
+  function getPlayerNameFromContainer(container) {
+    const nameEl = container.querySelector(
+      "h2.subheader .player_name, .player_name"
+    );
+    return nameEl?.textContent?.trim() || null;
+  }
+
+  // Fallback for views without .player_id_span: read pid=<PID> from links
+  function getPlayerIdFromLinks(container) {
+    for (const a of container.querySelectorAll("a[href*='pid=']")) {
+      const pid = new URL(a.href, location.href).searchParams.get("pid");
+      if (pid && /^\d+$/.test(pid)) return pid;
+    }
+    return null;
+  }
+
+  // Cards without the id span (e.g. compact transfer results) still link
+  // to the player
+  function getPlayerIdFromCard(container) {
+    if (container.querySelector("[id^='player_id_'] .player_id_span")) {
+      return getPlayerIdFromContainer(container);
+    }
+    return getPlayerIdFromLinks(container);
+  }
+
+  // ---- Scout fetching ----
+  function isInViewport(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  // Resolves once the background queue has the data (cached or fetched).
+  // `force` skips the cache and refetches the report.
+  async function fetchScout(
+    pid,
+    priority = PRIORITY.NORMAL,
+    playerName,
+    { force = false } = {}
+  ) {
+    try {
+      const { scoutData } = await sendToBackground({
+        type: force ? "SCOUT_REFRESH" : "SCOUT_FETCH",
+        pid,
+        sport: getSport(),
+        lang: getLanguage(),
+        priority,
+        playerName,
+      });
+      return scoutData;
+    } catch (error) {
+      if (error.code === MZErrors.CODES.NO_REPORT) storeNoReport(pid);
+      throw error;
+    }
+  }
+
+  // Cached report only, never a request; resolves to null on a miss
+  async function getCachedScout(pid, sport = getSport()) {
+    const { scoutData } = await sendToBackground({
+      type: "CACHE_GET",
+      pid,
+      sport,
+    });
+    return scoutData || null;
+  }
+
+  // ---- Skill row helpers ----
+  // Skills are matched on canonical ids (see shared/locales.js): by name
+  // when a dictionary knows it, otherwise by the row's position in the
+  // sport's skill table (shared/sports.js).
+  function normalizeSkillName(name, lang = getLanguage()) {
+    return MZLocales.skillIdFromName(name, lang);
+  }
+
+  // Every skill row in both the desktop and responsive tables
+  function getSkillRows(container, sport = getSport()) {
+    const { skills } = MZSports.getSportConfig(sport);
+    const rows = [];
+    for (const table of container.querySelectorAll(".player_skills")) {
+      const named = Array.from(table.querySelectorAll("tr"))
+        .map((tr) => ({
+          tr,
+          span: tr.querySelector("td:first-child .clippable"),
+        }))
+        .filter(({ span }) => span);
+
+      named.forEach(({ tr, span }, index) => {
+        const name = span.textContent.trim();
+        const id = normalizeSkillName(name) || skills[index] || null;
+        rows.push({ tr, span, name, id });
+      });
+    }
+    return rows;
+  }
+
+  function mapIdToRows(skillRows) {
+    const map = new Map();
+    for (const row of skillRows) {
+      if (!row.id) continue;
+      if (!map.has(row.id)) map.set(row.id, []);
+      map.get(row.id).push(row.tr);
+    }
+    return map;
+  }
+
+  // Canonical ids for a report's skill list. The parser supplies ids for
+  // names it knows; anything else is matched against the skill table text,
+  // which is in the same language as the report.
+  function resolveReportSkillIds(names = [], ids = [], skillRows = []) {
+    const norm = (s) => s?.trim().toLowerCase();
+    return names.map(
+      (name, i) =>
+        ids[i] ||
+        normalizeSkillName(name) ||
+        skillRows.find((row) => norm(row.name) === norm(name))?.id ||
+        null
+    );
+  }
+
+  // Current level per skill id, read from the ".skillval" number next to
+  // the skill balls, e.g. "(7)"
+  function getSkillLevels(container, sport = getSport()) {
+    const levels = new Map();
+    for (const { tr, id } of getSkillRows(container, sport)) {
+      if (!id || levels.has(id)) continue;
+      const match = tr.querySelector(".skillval")?.textContent.match(/\d+/);
+      if (match) levels.set(id, Number(match[0]));
+    }
+    return levels;
+  }
+
+  // "Age: 19" in the player info table; the label is localized, so accept
+  // the site languages we have dictionaries for. (\b only knows ASCII
+  // letters and never matches before "ålder".)
+  const AGE_LABEL =
+    /(?<!\p{L})(?:age|ålder|edad|idade|wiek|età|alter)\s*:?\s*(\d{1,2})\b/iu;
+
+  function getPlayerAge(container) {
+    const match = container.textContent.match(AGE_LABEL);
+    return match ? Number(match[1]) : null;
+  }
+
+  // Skill id -> { kind: "high" | "low", stars } from a scout report
+  function getPotentialById(scoutData, skillRows = []) {
+    const potentials = new Map();
+    const add = (ids, kind, stars) => {
+      for (const id of ids) if (id) potentials.set(id, { kind, stars });
+    };
+    add(
+      resolveReportSkillIds(scoutData.lowest, scoutData.lowestIds, skillRows),
+      "low",
+      scoutData.starsLow
+    );
+    add(
+      resolveReportSkillIds(scoutData.highest, scoutData.highestIds, skillRows),
+      "high",
+      scoutData.starsHigh
+    );
+    return potentials;
+  }
+
+  // ---- Processed players ----
+  // Scout data for every player handled on this page, shared by the page
+  // modules so they don't each ask the background again
+  const processedPlayers = new Map(); // pid -> parsed scout report
+  // Players known to have no report, as opposed to the ones whose report
+  // just hasn't been loaded yet (cards still waiting to scroll near)
+  const playersWithoutReport = new Set();
+  const processedListeners = [];
+
+  function storeProcessedPlayer(pid, scoutData) {
+    processedPlayers.set(pid, scoutData);
+    playersWithoutReport.delete(pid);
+    processedListeners.forEach((callback) => callback(pid, scoutData));
+  }
+
+  function storeNoReport(pid) {
+    if (processedPlayers.has(pid) || playersWithoutReport.has(pid)) return;
+    playersWithoutReport.add(pid);
+    processedListeners.forEach((callback) => callback(pid, null));
+  }
+
+  // Called with the report once a player's is known, or with null once it
+  // turns out there is none
+  function onPlayerProcessed(callback) {
+    processedListeners.push(callback);
+  }
+
+  // "scouted", "none" (there is no report) or "pending" (not loaded yet)
+  function getScoutState(pid) {
+    if (processedPlayers.has(pid)) return "scouted";
+    if (playersWithoutReport.has(pid)) return "none";
+    return "pending";
+  }
+
+  // Filters and sorts on scout data need every card's report, not just
+  // the ones scrolled near so far; content/scout-report.js queues the
+  // rest behind the visible ones when asked
+  const loadAllHandlers = [];
+
+  function onLoadAllRequested(handler) {
+    loadAllHandlers.push(handler);
+  }
+
+  function requestAllScouts() {
+    loadAllHandlers.forEach((handler) => handler());
+  }
+
+  // ---- Card changes ----
+  // content/scout-report.js watches the page for every module and reports
+  // once per animation frame, leaving our own additions out:
+  // { added, removed, changed } cards, the last being cards the page
+  // re-rendered something in, plus `nodes`, page content added outside
+  // any card. Cards that were only moved (sorted) are in none of them.
+  const cardChangeListeners = [];
+
+  function onCardsChanged(callback) {
+    cardChangeListeners.push(callback);
+  }
+
+  function notifyCardsChanged(change) {
+    cardChangeListeners.forEach((callback) => callback(change));
+  }
+
+  const getPlayerContainers = () =>
+    Array.from(document.querySelectorAll(".playerContainer"));
+
+  // ---- Flag injection ----
+  function getFlagCells(tr, sport = getSport()) {
+    const tds = tr.querySelectorAll(":scope > td");
+    const { flagCellIndexes } = MZSports.getSportConfig(sport);
+    if (tds.length > Math.max(...flagCellIndexes)) {
+      return flagCellIndexes.map((i) => tds[i]);
+    }
+    // Fallback: try selecting by width attributes if structure shifts
+    const cols = Array.from(
+      tr.querySelectorAll(":scope > td[width='7'], :scope > td[width='6']")
+    );
+    return cols.slice(0, 3);
+  }
+
+  function clearFlagCells(cells) {
+    cells.forEach((td) => {
+      if (td) td.innerHTML = "";
+    });
+  }
+
+  const FLAG_IMG = {
+    green: "img/flag_green.png",
+    yellow: "img/flag_yellow.png",
+    red: "img/flag_red.png",
+  };
+
+  // Glyph mode (settings.markerStyle): the shape alone tells high from low,
+  // for anyone who can't tell the flag colors apart
+  const MARKER_GLYPH = { green: "▲", yellow: "▽", red: "▼" };
+
+  function flagImg(color) {
+    const img = document.createElement("img");
+    img.src = FLAG_IMG[color];
+    img.width = 6;
+    img.height = 10;
+    img.alt = "";
+    img.style.verticalAlign = "middle";
+    return img;
+  }
+
+  function flagGlyph(color) {
+    const glyph = document.createElement("span");
+    glyph.className = `mz-marker-glyph mz-marker-${color}`;
+    glyph.textContent = MARKER_GLYPH[color];
+    return glyph;
+  }
+
+  // Markers themselves are hidden from screen readers; the row's label
+  // (see labelMarkers) describes them once
+  function createMarker(color, style) {
+    const marker = style === "glyphs" ? flagGlyph(color) : flagImg(color);
+    marker.classList.add("mz-potential-flag");
+    marker.dataset.flag = `${style}:${color}`;
+    marker.setAttribute("aria-hidden", "true");
+    return marker;
+  }
+
+  const MARKER_SELECTOR = ".mz-flag-label, .mz-potential-flag";
+
+  // Only removes markers we injected, so a changed mapping starts clean
+  function clearInjectedFlags(container) {
+    container
+      .querySelectorAll(`.player_skills :is(${MARKER_SELECTOR})`)
+      .forEach((el) => el.remove());
+  }
+
+  function setFlagsInCells(cells, { color, count }, style) {
+    clearFlagCells(cells);
+    for (let i = 0; i < Math.min(count, cells.length); i++) {
+      cells[i].appendChild(createMarker(color, style));
+    }
+
+    // The first marker sits in a focusable label carrying the tooltip
+    if (!cells[0]?.firstChild) return null;
+    const label = document.createElement("span");
+    label.className = "mz-flag-label";
+    label.tabIndex = 0;
+    label.setAttribute("role", "img");
+    label.appendChild(cells[0].firstChild);
+    cells[0].appendChild(label);
+    return label;
+  }
+
+  // "Scout: highest potential, 4★", when the report was cached, and whose
+  // report it is
+  function describeMarkers({ kind, stars }, scoutData) {
+    const cachedAt = scoutData.cachedAt
+      ? new Date(scoutData.cachedAt).toLocaleString()
+      : "just now";
+    const { scout, reportDate } = scoutData;
+    const source =
+      `scout report by ${scout?.name || "an unknown scout"}` +
+      (reportDate ? ` of ${reportDate}` : "");
+    return [
+      `Scout: ${kind === "high" ? "highest" : "lowest"} potential, ${
+        stars ?? "?"
+      }★`,
+      `Cached: ${cachedAt}`,
+      `Source: ${source}`,
+    ].join("\n");
+  }
+
+  function labelMarkers(label, description) {
+    if (!label || label.dataset.mzTip === description) return;
+    label.dataset.mzTip = description;
+    label.setAttribute("aria-label", description.replace(/\n/g, ". "));
+  }
+
+  // Markers currently in a row's cells, e.g. "flags:green,flags:green," -
+  // compared with the wanted ones so unchanged rows aren't rewritten
+  function flagsInCells(cells) {
+    return cells
+      .map((td) => td?.querySelector(".mz-potential-flag")?.dataset.flag || "")
+      .join(",");
+  }
+
+  function wantedFlags(cells, { color, count }, style) {
+    return cells
+      .map((_, i) => (i < count ? `${style}:${color}` : ""))
+      .join(",");
+  }
+
+  // Writes only the rows whose flags differ from what's shown; returns
+  // how many rows were rewritten
+  function applyFlagsToContainer(container, scoutData, sport = getSport()) {
+    const skillRows = getSkillRows(container, sport);
+    if (!skillRows.length) return 0;
+
+    const wanted = isFeatureEnabled("flags")
+      ? getWantedFlags(skillRows, scoutData)
+      : new Map();
+
+    const style = settings.markerStyle;
+    let rewritten = 0;
+    for (const { tr } of skillRows) {
+      const spec = wanted.get(tr);
+      if (!spec) {
+        const stale = tr.querySelectorAll(MARKER_SELECTOR);
+        if (stale.length) rewritten++;
+        stale.forEach((el) => el.remove());
+        continue;
+      }
+
+      const cells = getFlagCells(tr, sport);
+      let label = tr.querySelector(".mz-flag-label");
+      if (flagsInCells(cells) !== wantedFlags(cells, spec, style)) {
+        label = setFlagsInCells(cells, spec, style);
+        rewritten++;
+      }
+      labelMarkers(label, describeMarkers(spec, scoutData));
+    }
+    return rewritten;
+  }
+
+  // Skill row -> { color, count, kind, stars } for the rows the report flags
+  function getWantedFlags(skillRows, scoutData) {
+    const wanted = new Map();
+    const { starsHigh, starsLow } = scoutData;
+    const idToRows = mapIdToRows(skillRows);
+    const highestIds = resolveReportSkillIds(
+      scoutData.highest,
+      scoutData.highestIds,
+      skillRows
+    );
+    const lowestIds = resolveReportSkillIds(
+      scoutData.lowest,
+      scoutData.lowestIds,
+      skillRows
+    );
+
+    // Stars -> flags mapping is configurable (defaults: 4★→3 green, 3★→2,
+    // 2★→1; low 2★ yellow, 1★ red)
+    const highCount = settings.highFlagsByStars[starsHigh] || 0;
+    const lowColor = settings.lowFlagByStars[starsLow];
+    const lowSpec = lowColor
+      ? { color: lowColor, count: 1, kind: "low", stars: starsLow }
+      : null;
+
+    // High potentials: fill left→right with green flags
+    if (highCount > 0) {
+      for (const id of highestIds) {
+        for (const tr of idToRows.get(id) || []) {
+          wanted.set(tr, {
+            color: "green",
+            count: highCount,
+            kind: "high",
+            stars: starsHigh,
+          });
+        }
+      }
+    }
+
+    // Low potentials: one flag in the leftmost of the 3 cells (each skill
+    // is either high or low, so this wins)
+    if (lowSpec) {
+      for (const id of lowestIds) {
+        for (const tr of idToRows.get(id) || []) wanted.set(tr, lowSpec);
+      }
+    }
+    return wanted;
+  }
+
+  // ---- Header rendering ----
+  function renderStatus(container, text, className) {
+    // Put a tiny status on the right side of the header to avoid clutter
+    const header = container.querySelector("h2.subheader") || container;
+    let status = header.querySelector(".mz-scout-status");
+    if (!status) {
+      status = document.createElement("span");
+      status.className = "mz-scout-status";
+      header.appendChild(status);
+    }
+    // Unchanged text isn't rewritten, so re-renders don't churn the DOM
+    if (status.textContent !== text) status.textContent = text;
+    status.className = `mz-scout-status ${className || ""}`;
+    status.title = "";
+    return status;
+  }
+
+  // Status text per MZErrors code, with a hint in the tooltip
+  const ERROR_STATUS = {
+    NOT_LOGGED_IN: [
+      "Not logged in",
+      "ManagerZone returned its login page. Log in again, then retry.",
+    ],
+    RATE_LIMITED: [
+      "Rate limited",
+      "ManagerZone asked us to slow down. Wait a minute, then retry.",
+    ],
+    UNRECOGNIZED_MARKUP: [
+      "Report not recognized",
+      "The scout report page couldn't be read; nothing was cached.",
+    ],
+    NO_REPORT: ["No scout report", "This player hasn't been scouted yet."],
+    NETWORK: ["Network error", "ManagerZone couldn't be reached."],
+  };
+
+  // Failed fetch: explain what went wrong; clicking the status retries
+  function renderScoutError(container, error) {
+    const [text, hint] = ERROR_STATUS[error.code] || [
+      `Scout error: ${error.message}`,
+      error.message,
+    ];
+    const status = renderStatus(container, text, "is-error is-retryable");
+    status.title = `${hint}\nClick to retry.`;
+    if (!status.dataset.retryBound) {
+      status.dataset.retryBound = "true";
+      status.addEventListener("click", (e) => {
+        if (!status.classList.contains("is-retryable")) return;
+        e.preventDefault();
+        e.stopPropagation();
+        refreshContainer(container);
+      });
+    }
+  }
+
+  // ---- Re-scouting ----
+  // Page modules register how to refetch and re-render each of their cards;
+  // the inline button and the right-click menu both go through that
+  const refreshActions = new WeakMap(); // container -> async (priority) => {}
+  const refreshing = new WeakSet();
+
+  async function refreshContainer(container, priority = PRIORITY.VISIBLE) {
+    const onRefresh = refreshActions.get(container);
+    if (!onRefresh || refreshing.has(container)) return;
+
+    refreshing.add(container);
+    try {
+      await onRefresh(priority);
+    } finally {
+      refreshing.delete(container);
+    }
+  }
+
+  // Small "↻" next to the status; call after renderStatus so it follows it
+  function renderRefreshControl(container, onRefresh) {
+    refreshActions.set(container, onRefresh);
+    const header = container.querySelector("h2.subheader") || container;
+    if (header.querySelector(".mz-scout-refresh")) return;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "mz-scout-refresh";
+    button.textContent = "↻";
+    button.title = "Refresh scout report";
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      refreshContainer(container);
+    });
+    const status = header.querySelector(".mz-scout-status");
+    header.insertBefore(button, status ? status.nextSibling : null);
+  }
+
+  // Every card currently shown (not hidden by a filter); the background
+  // queue paces the requests like any others
+  async function refreshVisibleContainers() {
+    const containers = getPlayerContainers().filter(
+      (c) => c.offsetParent !== null && refreshActions.has(c)
+    );
+    log(`Re-scouting ${containers.length} visible players`);
+    await Promise.all(
+      containers.map((c) => refreshContainer(c, PRIORITY.NORMAL))
+    );
+  }
+
+  // The background's context menu items act on the card that was
+  // right-clicked, or on the whole page
+  let contextContainer = null;
+  document.addEventListener(
+    "contextmenu",
+    (e) => {
+      contextContainer = e.target.closest?.(".playerContainer") || null;
+    },
+    true
+  );
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === "REFRESH_SCOUT_CONTEXT") {
+      if (contextContainer?.isConnected) refreshContainer(contextContainer);
+      else log("Refresh scout: no player card under the pointer");
+    } else if (message?.type === "REFRESH_SCOUT_VISIBLE") {
+      refreshVisibleContainers();
+    } else {
+      return;
+    }
+    sendResponse({ ok: true });
+  });
+
+  // Everything the page modules add to a card, besides the flags
+  const ENHANCEMENT_SELECTOR = [
+    ".mz-scout-status",
+    ".mz-scout-refresh",
+    ".mz-scout-badge",
+    ".mz-scout-stars",
+    ".mz-skill-delta",
+    ".mz-history",
+    ".mz-training-focus",
+    ".mz-position-fit",
+    ".mz-compare-pick",
+    ".mz-notes",
+    ".mz-notes-editor",
+  ].join(", ");
+
+  // Remove everything this extension added to a card (page or feature
+  // switched off in the options)
+  function clearEnhancements(container) {
+    clearInjectedFlags(container);
+    container
+      .querySelectorAll(ENHANCEMENT_SELECTOR)
+      .forEach((el) => el.remove());
+  }
+
+  function hasScoutLink(container) {
+    return !!container.querySelector(
+      `a[title*="Scout report" i], a[href*="sub=scout_report"], .scout_report`
+    );
+  }
+
+  function hasPlayerSkillsTable(container) {
+    const skillsTable = container.querySelector(".player_skills");
+    if (!skillsTable) return false;
+
+    // Check if table has actual skill rows
+    const rows = skillsTable.querySelectorAll("tr");
+    return rows.length > 0;
+  }
+
+  // Compact "▲★★★★ ▼★★" summary of the report's star ratings
+  function renderStarSummary(container, { starsHigh, starsLow }) {
+    const header = container.querySelector("h2.subheader") || container;
+    let summary = header.querySelector(".mz-scout-stars");
+    if (!isFeatureEnabled("starSummary")) {
+      summary?.remove();
+      return;
+    }
+    if (!summary) {
+      summary = document.createElement("span");
+      summary.className = "mz-scout-stars";
+      header.appendChild(summary);
+    }
+
+    const stars = (n) => (n ? "★".repeat(n) : "–");
+    summary.textContent = `▲${stars(starsHigh)} ▼${stars(starsLow)}`;
+    summary.title = `Scout: highest potential ${
+      starsHigh ?? "?"
+    }★, lowest potential ${starsLow ?? "?"}★`;
+  }
+
+  // Small summary of the rest of the report: overall potential, youth
+  // training speed and the scout's own rating, details in the tooltip
+  function renderScoutBadge(container, scoutData) {
+    const header = container.querySelector("h2.subheader") || container;
+    let badge = header.querySelector(".mz-scout-badge");
+    if (!isFeatureEnabled("scoutBadge")) {
+      badge?.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.className = "mz-scout-badge";
+      const status = header.querySelector(".mz-scout-status");
+      header.insertBefore(badge, status);
+    }
+
+    const { potentialStars, trainingSpeedStars, scout, reportDate } = scoutData;
+    const stars = (n) => (n == null ? "?" : `${n}★`);
+    const text = `Pot ${stars(potentialStars)} · TS ${stars(
+      trainingSpeedStars
+    )} · Scout ${stars(scout?.knowledge)}`;
+    if (badge.textContent !== text) badge.textContent = text;
+
+    const details = [
+      `Potential: ${stars(potentialStars)}`,
+      `Youth training speed: ${stars(trainingSpeedStars)}`,
+      `Scout: ${scout?.name || "unknown"}` +
+        (scout?.knowledge != null ? ` (${scout.knowledge}★)` : "") +
+        (scout?.level != null ? `, level ${scout.level}` : ""),
+    ];
+    if (reportDate) details.push(`Report date: ${reportDate}`);
+    if (scoutData.modelVersion === 1) {
+      details.push("Cached before full reports were kept - clear to refetch");
+    }
+    badge.title = details.join("\n");
+  }
+
+  // ---- Overlays ----
+  // Full-page dialog for the squad tools. Escape, the close button and a
+  // click on the backdrop close it; opening one replaces any other.
+  let closeOpenOverlay = null;
+
+  function openOverlay(id, title) {
+    closeOpenOverlay?.();
+
+    const backdrop = document.createElement("div");
+    backdrop.id = id;
+    backdrop.className = "mz-overlay";
+
+    const dialog = document.createElement("div");
+    dialog.className = "mz-overlay-dialog";
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-label", title);
+
+    const header = document.createElement("div");
+    header.className = "mz-overlay-header";
+    const heading = document.createElement("strong");
+    heading.textContent = title;
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "mz-overlay-close";
+    closeButton.textContent = "×";
+    closeButton.setAttribute("aria-label", "Close");
+    header.append(heading, closeButton);
+
+    const body = document.createElement("div");
+    body.className = "mz-overlay-body";
+    dialog.append(header, body);
+    backdrop.appendChild(dialog);
+
+    const onKey = (e) => {
+      if (e.key === "Escape") close();
+    };
+    function close() {
+      backdrop.remove();
+      document.removeEventListener("keydown", onKey);
+      if (closeOpenOverlay === close) closeOpenOverlay = null;
+    }
+    closeOpenOverlay = close;
+
+    closeButton.addEventListener("click", close);
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) close();
+    });
+    document.addEventListener("keydown", onKey);
+
+    document.body.appendChild(backdrop);
+    closeButton.focus();
+    return { body, close };
+  }
+
+  return {
+    PRIORITY,
+    createLogger,
+    getPageType,
+    isOwnSquadPage,
+    getSport,
+    getLanguage,
+    getSettings,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    sendToBackground,
+    migrateLegacyCache,
+    getPlayerIdFromContainer,
+    getPlayerNameFromContainer,
+    getPlayerIdFromLinks,
+    getPlayerIdFromCard,
+    isInViewport,
+    fetchScout,
+    getCachedScout,
+    normalizeSkillName,
+    getSkillRows,
+    resolveReportSkillIds,
+    getSkillLevels,
+    getPlayerAge,
+    getPotentialById,
+    processedPlayers,
+    storeProcessedPlayer,
+    storeNoReport,
+    onPlayerProcessed,
+    getScoutState,
+    onLoadAllRequested,
+    requestAllScouts,
+    onCardsChanged,
+    notifyCardsChanged,
+    getPlayerContainers,
+    applyFlagsToContainer,
+    renderStatus,
+    renderScoutError,
+    renderRefreshControl,
+    refreshVisibleContainers,
+    renderStarSummary,
+    renderScoutBadge,
+    clearEnhancements,
+    hasScoutLink,
+    hasPlayerSkillsTable,
+    openOverlay,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZCommon;
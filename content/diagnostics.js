@@ -0,0 +1,382 @@
+// Diagnostics mode (switched on from the popup): checks the selectors the
+// page modules depend on against the current page, outlines the cards and
+// skill rows they fail on, and builds a debug report to paste into a bug
+// when ManagerZone changes its markup.
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    getLanguage,
+    getSettings,
+    whenSettingsReady,
+    onSettingsChange,
+    sendToBackground,
+    getPlayerIdFromCard,
+    getPlayerContainers,
+    normalizeSkillName,
+    getSkillRows,
+    hasScoutLink,
+    onCardsChanged,
+  } = MZCommon;
+
+  const { log, logE } = createLogger("content/diagnostics");
+
+  const PANEL_ID = "mz-diagnostics";
+  const FAIL_CLASS = "mz-diag-fail";
+  const FAIL_ATTR = "data-mz-diag"; // names of the checks an element failed
+  const RERUN_DELAY_MS = 500;
+
+  let lastResults = [];
+  let parserDiagnosis = null;
+
+  const isEnabled = () => getSettings().diagnostics === true;
+
+  // ---- Checks ----
+  // Each check counts how many of the elements it applies to matched, and
+  // collects the ones that didn't so they can be outlined
+  function check(name, selector, items, test) {
+    const failed = items.filter((item, i) => !test(item, i));
+    return {
+      name,
+      selector,
+      matched: items.length - failed.length,
+      total: items.length,
+      failed,
+    };
+  }
+
+  function flagCellSource(tr) {
+    const tds = tr.querySelectorAll(":scope > td");
+    const { flagCellIndexes } = MZSports.getSportConfig(getSport());
+    if (tds.length > Math.max(...flagCellIndexes)) return "index";
+    const cols = tr.querySelectorAll(
+      ":scope > td[width='7'], :scope > td[width='6']"
+    );
+    return cols.length ? "width" : null;
+  }
+
+  function runChecks() {
+    const cards = getPlayerContainers();
+    const tables = cards.flatMap((card) =>
+      Array.from(card.querySelectorAll(".player_skills"))
+    );
+    const tableRows = tables.flatMap((table) =>
+      Array.from(table.querySelectorAll("tr")).filter(
+        (tr) => tr.querySelectorAll(":scope > td").length > 1
+      )
+    );
+    const skillRows = cards.flatMap((card) => getSkillRows(card));
+    const flagSources = skillRows.map(({ tr }) => flagCellSource(tr));
+    const byIndex = flagSources.filter((source) => source === "index").length;
+
+    // Player and transfer pages should always have cards; zero there means
+    // the container selector itself broke
+    const expectCards = ["players", "transfer"].includes(getPageType());
+    const results = [
+      {
+        name: "Player cards",
+        selector: ".playerContainer",
+        matched: cards.length,
+        total: expectCards ? Math.max(cards.length, 1) : cards.length,
+        failed: [],
+      },
+      check("Player id", "[id^='player_id_'] .player_id_span", cards, (card) =>
+        card
+          .querySelector("[id^='player_id_'] .player_id_span")
+          ?.textContent.trim()
+      ),
+      check(
+        "Player id (any source)",
+        ".player_id_span, a[href*='pid=']",
+        cards,
+        (card) => getPlayerIdFromCard(card)
+      ),
+      check(
+        "Player name",
+        "h2.subheader .player_name, .player_name",
+        cards,
+        (card) => card.querySelector(".player_name")
+      ),
+      check("Card header", "h2.subheader", cards, (card) =>
+        card.querySelector("h2.subheader")
+      ),
+      check("Skills table", ".player_skills", cards, (card) =>
+        card.querySelector(".player_skills tr")
+      ),
+      check("Scout report link", "a[href*='sub=scout_report']", cards, (card) =>
+        hasScoutLink(card)
+      ),
+      check(
+        "Skill names",
+        ".player_skills td:first-child .clippable",
+        tableRows,
+        (tr) => tr.querySelector("td:first-child .clippable")
+      ),
+      check(
+        `Skill names in dictionary (${getLanguage() ?? "any language"})`,
+        "MZLocales.skillIdFromName",
+        skillRows,
+        ({ name }) => normalizeSkillName(name)
+      ),
+      check("Skill levels", ".skillval", skillRows, ({ tr }) =>
+        /\d/.test(tr.querySelector(".skillval")?.textContent || "")
+      ),
+      {
+        ...check(
+          "Flag cells",
+          ":scope > td by index, td[width='7'] fallback",
+          skillRows,
+          (_row, i) => flagSources[i]
+        ),
+        note: `${byIndex} by index, ${
+          flagSources.filter((source) => source === "width").length
+        } by width fallback`,
+      },
+    ];
+
+    // Skill rows as plain rows for outlining
+    for (const result of results) {
+      result.failed = result.failed.map((item) => item.tr || item);
+    }
+    return results;
+  }
+
+  // ---- Highlighting ----
+  function clearHighlights() {
+    document.querySelectorAll(`.${FAIL_CLASS}`).forEach((el) => {
+      el.classList.remove(FAIL_CLASS);
+      el.removeAttribute(FAIL_ATTR);
+    });
+  }
+
+  function highlight(results) {
+    clearHighlights();
+    for (const { name, failed } of results) {
+      for (const el of failed) {
+        const names = el.getAttribute(FAIL_ATTR);
+        el.classList.add(FAIL_CLASS);
+        el.setAttribute(FAIL_ATTR, names ? `${names}, ${name}` : name);
+      }
+    }
+  }
+
+  // ---- Debug report ----
+  function buildReport() {
+    const settings = getSettings();
+    const lines = [
+      "MZ Tools debug report",
+      `Version: ${chrome.runtime.getManifest().version}`,
+      `Time: ${new Date().toISOString()}`,
+      `Page: ${location.pathname}${location.search}`,
+      `Page type: ${getPageType()}`,
+      `Sport: ${getSport()}`,
+      `Language: ${getLanguage() ?? "unknown"} (dictionary: ${
+        MZLocales.hasDictionary(getLanguage()) ? "yes" : "no"
+      })`,
+      `Browser: ${navigator.userAgent}`,
+      `Pages off: ${
+        Object.keys(settings.pages)
+          .filter((page) => settings.pages[page] === false)
+          .join(", ") || "none"
+      }`,
+      `Features off: ${
+        Object.keys(settings.features)
+          .filter((feature) => settings.features[feature] === false)
+          .join(", ") || "none"
+      }`,
+      "",
+      "Selectors:",
+    ];
+
+    for (const { name, selector, matched, total, note } of lastResults) {
+      const state = matched === total ? "ok  " : "FAIL";
+      lines.push(
+        `  ${state} ${name}: ${matched}/${total}  [${selector}]${
+          note ? `  (${note})` : ""
+        }`
+      );
+    }
+
+    if (parserDiagnosis) {
+      lines.push("", `Scout parser (player ${parserDiagnosis.pid}):`);
+      if (parserDiagnosis.error) {
+        lines.push(`  request failed: ${parserDiagnosis.error}`);
+      } else {
+        const { htmlLength, loginPage, selectors, titles, outcome } =
+          parserDiagnosis.diagnosis;
+        lines.push(`  html: ${htmlLength} chars, login page: ${loginPage}`);
+        for (const [selector, count] of Object.entries(selectors)) {
+          lines.push(`  ${selector}: ${count}`);
+        }
+        for (const { text, kind } of titles) {
+          lines.push(`  section "${text}" -> ${kind || "unrecognized"}`);
+        }
+        lines.push(
+          outcome.ok
+            ? `  parsed: high ${outcome.starsHigh}★ [${outcome.highest}], ` +
+                `low ${outcome.starsLow}★ [${outcome.lowest}]`
+            : `  parse failed: ${outcome.code || "ERROR"} ${outcome.error}`
+        );
+      }
+    }
+    return lines.join("\n");
+  }
+
+  async function appendQueueState(report) {
+    try {
+      const { queue } = await sendToBackground({ type: "GET_QUEUE_STATE" });
+      const session = `Session valid: ${queue.session?.valid ?? "unknown"}`;
+      const failures = queue.failed
+        .slice(0, 10)
+        .map(
+          ({ pid, sport, code, error }) =>
+            `  ${sport} ${pid}: ${code || "ERROR"} ${error}`
+        );
+      return [
+        report,
+        "",
+        session,
+        `Recent queue failures: ${failures.length || "none"}`,
+        ...failures,
+      ].join("\n");
+    } catch (error) {
+      return `${report}\n\nQueue state unavailable: ${error.message}`;
+    }
+  }
+
+  async function checkParser() {
+    const pid = getPlayerContainers().map(getPlayerIdFromCard).find(Boolean);
+    if (!pid) {
+      parserDiagnosis = { pid: "-", error: "no player id on this page" };
+      return;
+    }
+    try {
+      const { diagnosis } = await sendToBackground({
+        type: "SCOUT_DIAGNOSE",
+        pid,
+        sport: getSport(),
+        lang: getLanguage(),
+      });
+      parserDiagnosis = { pid, diagnosis };
+    } catch (error) {
+      logE(`Parser check failed for ${pid}:`, error);
+      parserDiagnosis = { pid, error: error.message };
+    }
+  }
+
+  // ---- Panel ----
+  function button(label, onClick) {
+    const el = document.createElement("button");
+    el.type = "button";
+    el.textContent = label;
+    el.addEventListener("click", onClick);
+    return el;
+  }
+
+  function renderPanel() {
+    document.getElementById(PANEL_ID)?.remove();
+
+    const panel = document.createElement("div");
+    panel.id = PANEL_ID;
+
+    const title = document.createElement("strong");
+    title.textContent = "MZ Tools diagnostics";
+
+    const list = document.createElement("ul");
+    for (const { name, matched, total, note } of lastResults) {
+      const item = document.createElement("li");
+      const ok = matched === total;
+      item.className = ok ? "is-ok" : "is-fail";
+      item.textContent = `${ok ? "✔" : "✘"} ${name}: ${matched}/${total}${
+        note ? ` (${note})` : ""
+      }`;
+      list.appendChild(item);
+    }
+
+    const parser = document.createElement("div");
+    parser.className = "mz-diag-parser";
+    if (parserDiagnosis?.error) {
+      parser.textContent = `Scout parser: ${parserDiagnosis.error}`;
+    } else if (parserDiagnosis) {
+      const { outcome } = parserDiagnosis.diagnosis;
+      parser.textContent = outcome.ok
+        ? `Scout parser: ok (player ${parserDiagnosis.pid})`
+        : `Scout parser: ${outcome.code || "failed"} (player ${
+            parserDiagnosis.pid
+          })`;
+    }
+
+    const status = document.createElement("span");
+    status.className = "mz-diag-copy-status";
+
+    const actions = document.createElement("div");
+    actions.append(
+      button("Re-run", run),
+      button("Check scout parser", async (e) => {
+        e.target.disabled = true;
+        e.target.textContent = "Checking…";
+        await checkParser();
+        renderPanel();
+      }),
+      button("Copy debug report", async () => {
+        try {
+          await navigator.clipboard.writeText(
+            await appendQueueState(buildReport())
+          );
+          status.textContent = "Copied";
+        } catch (error) {
+          logE("Could not copy debug report:", error);
+          status.textContent = "Copy failed";
+        }
+      }),
+      status
+    );
+
+    panel.append(title, list, parser, actions);
+    document.body.appendChild(panel);
+  }
+
+  function run() {
+    if (!isEnabled()) {
+      clearHighlights();
+      document.getElementById(PANEL_ID)?.remove();
+      return;
+    }
+    lastResults = runChecks();
+    highlight(lastResults);
+    renderPanel();
+    const failing = lastResults.filter((r) => r.matched !== r.total);
+    log(
+      `${lastResults.length} checks, ${failing.length} failing:`,
+      failing.map(({ name }) => name)
+    );
+  }
+
+  let runTimer = null;
+  function scheduleRun() {
+    clearTimeout(runTimer);
+    runTimer = setTimeout(run, RERUN_DELAY_MS);
+  }
+
+  // Re-check when cards come or go while the mode is on
+  function handleCardsChanged({ added, removed }) {
+    if (isEnabled() && (added.length || removed.length)) scheduleRun();
+  }
+
+  async function initialize() {
+    await whenSettingsReady();
+    onSettingsChange(scheduleRun);
+    onCardsChanged(handleCardsChanged);
+    if (isEnabled()) {
+      log("Diagnostics mode is on");
+      run();
+    }
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
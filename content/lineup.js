@@ -0,0 +1,315 @@
+// Lineup suggester (players page, soccer): a starting XI and backups for a
+// chosen formation from the position fit scores of the cards on the page
+// (shared/positions.js, shared/lineup.js), shown on a pitch diagram in an
+// overlay. Locked players always start; players marked out never do.
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    getSettings,
+    whenSettingsReady,
+    onSettingsChange,
+    onPlayerProcessed,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromCard,
+    getPlayerNameFromContainer,
+    getSkillRows,
+    getSkillLevels,
+    getPotentialById,
+    processedPlayers,
+    onCardsChanged,
+    getPlayerContainers,
+    openOverlay,
+  } = MZCommon;
+
+  const { log } = createLogger("content/lineup");
+
+  const BUTTON_ID = "mz-lineup-open";
+  const OVERLAY_ID = "mz-lineup";
+  const RENDER_DELAY_MS = 200;
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("lineup");
+
+  // Choices last for the page visit
+  const state = {
+    formation: "4-4-2",
+    projected: false,
+    locked: new Set(),
+    excluded: new Set(),
+  };
+  let overlay = null;
+
+  // One entry per player on the page with a skill table:
+  // { pid, name, scores: { GK: 72, ... }, best, scouted }
+  function collectPlayers() {
+    const players = new Map();
+    for (const container of getPlayerContainers()) {
+      const pid = getPlayerIdFromCard(container);
+      const levels = getSkillLevels(container);
+      if (!pid || players.has(pid) || !levels.size) continue;
+
+      const scoutData = processedPlayers.get(pid);
+      const ranked = MZPositions.rankPositions({
+        levels,
+        potentials: scoutData
+          ? getPotentialById(scoutData, getSkillRows(container))
+          : new Map(),
+        profiles: getSettings().positionProfiles,
+      });
+      const scores = {};
+      for (const { position, current, projected } of ranked) {
+        scores[position] = state.projected ? projected ?? current : current;
+      }
+      const [best = null] = Object.keys(scores).sort(
+        (a, b) => scores[b] - scores[a]
+      );
+      players.set(pid, {
+        pid,
+        name: getPlayerNameFromContainer(container) || pid,
+        scores,
+        best,
+        scouted: !!scoutData,
+      });
+    }
+    return [...players.values()];
+  }
+
+  // ---- Overlay ----
+  function buildControls() {
+    const controls = document.createElement("div");
+    controls.className = "mz-overview-controls";
+
+    const formation = document.createElement("select");
+    for (const name of Object.keys(MZLineup.FORMATIONS)) {
+      formation.add(new Option(name, name));
+    }
+    formation.value = state.formation;
+    formation.addEventListener("change", () => {
+      state.formation = formation.value;
+      renderOverlay();
+    });
+
+    const projected = document.createElement("input");
+    projected.type = "checkbox";
+    projected.checked = state.projected;
+    projected.addEventListener("change", () => {
+      state.projected = projected.checked;
+      renderOverlay();
+    });
+    const projectedLabel = document.createElement("label");
+    projectedLabel.append(projected, " Projected scores (scouted players)");
+
+    const formationLabel = document.createElement("label");
+    formationLabel.append("Formation ", formation);
+    controls.append(formationLabel, " ", projectedLabel);
+    return controls;
+  }
+
+  function buildPitch(starters) {
+    const pitch = document.createElement("div");
+    pitch.className = "mz-pitch";
+    pitch.setAttribute("role", "list");
+
+    for (const { slot, player } of starters) {
+      const spot = document.createElement("div");
+      spot.className = "mz-pitch-slot";
+      spot.setAttribute("role", "listitem");
+      spot.style.left = `${slot.x}%`;
+      spot.style.bottom = `${slot.y}%`;
+      if (state.locked.has(player?.pid)) spot.classList.add("is-locked");
+
+      const position = document.createElement("span");
+      position.className = "mz-pitch-position";
+      position.textContent = slot.position;
+      const name = document.createElement("span");
+      name.className = "mz-pitch-name";
+      name.textContent = player ? player.name : "—";
+      const score = document.createElement("span");
+      score.className = "mz-pitch-score";
+      score.textContent = player?.scores[slot.position] ?? "";
+
+      spot.append(position, name, score);
+      spot.title = player
+        ? `${MZPositions.POSITION_NAMES[slot.position]}: ${player.name}, ` +
+          `fit ${player.scores[slot.position]}`
+        : `${MZPositions.POSITION_NAMES[slot.position]}: nobody available`;
+      pitch.appendChild(spot);
+    }
+    return pitch;
+  }
+
+  // Depth chart: the best players not starting, per position
+  function buildBackups(backups) {
+    const table = document.createElement("table");
+    table.className = "mz-overview-table mz-lineup-backups";
+    const body = table.createTBody();
+    for (const [position, players] of Object.entries(backups)) {
+      const tr = body.insertRow();
+      const th = document.createElement("th");
+      th.textContent = position;
+      th.title = MZPositions.POSITION_NAMES[position];
+      tr.appendChild(th);
+      tr.insertCell().textContent =
+        players.map((p) => `${p.name} (${p.scores[position]})`).join(", ") ||
+        "—";
+    }
+    return table;
+  }
+
+  function toggleButton(label, title, active, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-pressed", String(active));
+    button.className = active ? "is-active" : "";
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // Squad list with lock / out toggles
+  function buildSquad(players, starting) {
+    const table = document.createElement("table");
+    table.className = "mz-overview-table mz-lineup-squad";
+    const headRow = document.createElement("tr");
+    for (const label of ["Player", "Best", "Starts", ""]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headRow.appendChild(th);
+    }
+    table.createTHead().appendChild(headRow);
+
+    const body = table.createTBody();
+    for (const player of players) {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = player.name;
+      tr.insertCell().textContent = player.best
+        ? `${player.best} ${player.scores[player.best]}`
+        : "";
+      tr.insertCell().textContent = starting.get(player.pid) || "";
+
+      const locked = state.locked.has(player.pid);
+      const out = state.excluded.has(player.pid);
+      // Locking a player clears "out" and the other way round
+      const toggle = (set, other) => () => {
+        if (set.has(player.pid)) set.delete(player.pid);
+        else set.add(player.pid);
+        other.delete(player.pid);
+        renderOverlay();
+      };
+      tr.insertCell().append(
+        toggleButton(
+          "🔒",
+          "Always start",
+          locked,
+          toggle(state.locked, state.excluded)
+        ),
+        toggleButton(
+          "Out",
+          "Injured or unavailable",
+          out,
+          toggle(state.excluded, state.locked)
+        )
+      );
+      if (out) tr.className = "is-out";
+    }
+    return table;
+  }
+
+  function renderOverlay() {
+    if (!overlay?.body.isConnected) return;
+
+    const players = collectPlayers();
+    const { starters, backups } = MZLineup.suggest({
+      formation: state.formation,
+      players,
+      locked: state.locked,
+      excluded: state.excluded,
+    });
+    const starting = new Map(
+      starters
+        .filter(({ player }) => player)
+        .map(({ slot, player }) => [player.pid, slot.position])
+    );
+
+    const note = document.createElement("p");
+    note.className = "mz-lineup-note";
+    const unscouted = players.filter(({ scouted }) => !scouted).length;
+    note.textContent =
+      `${players.length} players on this page` +
+      (state.projected && unscouted
+        ? `, ${unscouted} without a scout report (current scores used)`
+        : "") +
+      ".";
+
+    const columns = document.createElement("div");
+    columns.className = "mz-lineup-columns";
+    const left = document.createElement("div");
+    left.append(buildPitch(starters), buildBackups(backups));
+    columns.append(left, buildSquad(players, starting));
+
+    overlay.body.replaceChildren(buildControls(), note, columns);
+  }
+
+  function open() {
+    overlay = openOverlay(OVERLAY_ID, "Suggested lineup");
+    renderOverlay();
+  }
+
+  // ---- Entry point ----
+  function renderButton() {
+    let button = document.getElementById(BUTTON_ID);
+    const [first] = getPlayerContainers();
+    if (!isEnabled() || !first) {
+      button?.remove();
+      return;
+    }
+    if (button) return;
+
+    button = document.createElement("button");
+    button.type = "button";
+    button.id = BUTTON_ID;
+    button.textContent = "⚽ Suggest lineup";
+    button.addEventListener("click", open);
+    first.parentElement.insertBefore(button, first);
+  }
+
+  let renderTimer = null;
+  function scheduleRender() {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(renderOverlay, RENDER_DELAY_MS);
+  }
+
+  function handleCardsChanged({ added }) {
+    if (added.length) renderButton();
+  }
+
+  function refresh() {
+    renderButton();
+    if (!isEnabled()) overlay?.close();
+    else renderOverlay();
+  }
+
+  async function initialize() {
+    if (getPageType() !== "players" || getSport() !== "soccer") return;
+
+    await whenSettingsReady();
+    log("Initializing lineup suggester");
+
+    onSettingsChange(refresh);
+    // Scout reports arriving change the projected scores
+    onPlayerProcessed(() => {
+      if (state.projected) scheduleRender();
+    });
+    onCardsChanged(handleCardsChanged);
+    renderButton();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
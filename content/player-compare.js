@@ -0,0 +1,555 @@
+// Player comparison: pick a few player cards (or cached players from the
+// popup) and see them side by side in an overlay, with age, star ratings
+// and every skill's level and scout mark in aligned rows. The best and
+// weakest value in each row is highlighted. Shares as a text table or as
+// a PNG image.
+(() => {
+  const {
+    createLogger,
+    getSport,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromCard,
+    getPlayerNameFromContainer,
+    getSkillRows,
+    getSkillLevels,
+    getPlayerAge,
+    getPotentialById,
+    getCachedScout,
+    processedPlayers,
+    onCardsChanged,
+    getPlayerContainers,
+    openOverlay,
+  } = MZCommon;
+
+  const { log, logE } = createLogger("content/player-compare");
+
+  const BAR_ID = "mz-compare-bar";
+  const OVERLAY_ID = "mz-compare";
+  const MAX_PLAYERS = 4;
+  const RENDER_DELAY_MS = 200;
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("compare");
+
+  // Picked pids in picking order; survives the site's list refreshes
+  const picked = [];
+
+  const findCard = (pid) =>
+    getPlayerContainers().find((card) => getPlayerIdFromCard(card) === pid);
+
+  // ---- Comparison model ----
+  // A compared player: { pid, name, age, levels, potentials, scoutData,
+  // cached }. Cached players have no card here, so no levels or age.
+  async function fromCard(card, pid) {
+    // Cards further down may not have been handled yet
+    const scoutData =
+      processedPlayers.get(pid) || (await readCachedScout(pid, getSport()));
+    const skillRows = getSkillRows(card);
+    return {
+      pid,
+      name: getPlayerNameFromContainer(card) || pid,
+      age: getPlayerAge(card),
+      levels: getSkillLevels(card),
+      potentials: scoutData
+        ? getPotentialById(scoutData, skillRows)
+        : new Map(),
+      scoutData,
+      cached: false,
+    };
+  }
+
+  async function readCachedScout(pid, sport) {
+    try {
+      return await getCachedScout(pid, sport);
+    } catch (error) {
+      logE(`Could not read the cached report for ${pid}:`, error);
+      return null;
+    }
+  }
+
+  async function fromCache(pid, name, sport) {
+    const scoutData = await readCachedScout(pid, sport);
+    return {
+      pid,
+      name: name || pid,
+      age: null,
+      levels: new Map(),
+      potentials: scoutData ? getPotentialById(scoutData) : new Map(),
+      scoutData,
+      cached: true,
+    };
+  }
+
+  // `better` is the direction that wins a row; rows without one only
+  // point out that the players differ
+  const INFO_ROWS = [
+    { label: "Age", value: (p) => p.age, better: null },
+    {
+      label: "Potential ★",
+      value: (p) => p.scoutData?.potentialStars,
+      better: "higher",
+    },
+    {
+      label: "High ★",
+      value: (p) => p.scoutData?.starsHigh,
+      better: "higher",
+    },
+    { label: "Low ★", value: (p) => p.scoutData?.starsLow, better: null },
+    {
+      label: "Training speed ★",
+      value: (p) => p.scoutData?.trainingSpeedStars,
+      better: "higher",
+    },
+  ];
+
+  // "ballControl" -> "Ball control", for skills no card on the page names
+  const humanize = (id) =>
+    id
+      .replace(/[A-Z]/g, (c) => ` ${c.toLowerCase()}`)
+      .replace(/^./, (c) => c.toUpperCase());
+
+  // Skill names as the page shows them, else as the reports name them
+  function getSkillNames(players, sport) {
+    const names = new Map();
+    const card = sport === getSport() && getPlayerContainers()[0];
+    if (card) {
+      for (const { id, name } of getSkillRows(card)) {
+        if (id && !names.has(id)) names.set(id, name);
+      }
+    }
+    for (const { scoutData } of players) {
+      for (const [list, ids] of [
+        [scoutData?.highest, scoutData?.highestIds],
+        [scoutData?.lowest, scoutData?.lowestIds],
+      ]) {
+        list?.forEach((name, i) => {
+          if (ids?.[i] && !names.has(ids[i])) names.set(ids[i], name);
+        });
+      }
+    }
+    return names;
+  }
+
+  function markText(potential) {
+    if (!potential) return "";
+    const stars = "★".repeat(potential.stars || 0);
+    return `${potential.kind === "high" ? "▲" : "▼"}${stars}`;
+  }
+
+  // Marks the best and weakest cells of a row, unless all values tie
+  function rankCells(cells, better) {
+    const values = cells.map((c) => c.value).filter((v) => v != null);
+    const differs = new Set(cells.map((c) => `${c.value}${c.mark}`)).size;
+    if (!better || values.length < 2) return differs > 1;
+
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    if (max === min) return differs > 1;
+    const [best, worst] = better === "higher" ? [max, min] : [min, max];
+    for (const cell of cells) {
+      if (cell.value === best) cell.rank = "best";
+      else if (cell.value === worst) cell.rank = "worst";
+    }
+    return true;
+  }
+
+  // { players, rows: [{ label, different, cells: [{ value, mark, text,
+  // potential, rank }] }] }, one cell per player
+  function buildComparison(players, sport) {
+    const names = getSkillNames(players, sport);
+    const { skills } = MZSports.getSportConfig(sport);
+    const rowSpecs = [
+      ...INFO_ROWS,
+      ...skills.map((id) => ({
+        label: names.get(id) || humanize(id),
+        value: (p) => p.levels.get(id),
+        potential: (p) => p.potentials.get(id),
+        better: "higher",
+      })),
+    ];
+
+    const rows = rowSpecs.map((spec) => {
+      const cells = players.map((player) => {
+        const value = spec.value(player) ?? null;
+        const potential = spec.potential?.(player) || null;
+        const mark = markText(potential);
+        const text = [value ?? "–", mark].filter(Boolean).join(" ");
+        return { value, mark, text, potential, rank: null };
+      });
+      const different = rankCells(cells, spec.better);
+      return { label: spec.label, different, cells };
+    });
+    return { players, rows };
+  }
+
+  // ---- Sharing ----
+  const RANK_SUFFIX = { best: " +", worst: " -" };
+
+  function toTextTable({ players, rows }) {
+    const table = [
+      ["", ...players.map((p) => (p.cached ? `${p.name} (cached)` : p.name))],
+      ...rows.map((row) => [
+        row.label,
+        ...row.cells.map((c) => c.text + (RANK_SUFFIX[c.rank] || "")),
+      ]),
+    ];
+    const widths = table[0].map((_, col) =>
+      Math.max(...table.map((line) => line[col].length))
+    );
+    const format = (line) =>
+      line
+        .map((text, col) => text.padEnd(widths[col]))
+        .join(" | ")
+        .trimEnd();
+    const [header, ...body] = table.map(format);
+    return [
+      header,
+      widths.map((w) => "-".repeat(w)).join("-+-"),
+      ...body,
+      "",
+      "+ best in the row, - weakest in the row",
+    ].join("\n");
+  }
+
+  const IMAGE = {
+    scale: 2,
+    font: "12px system-ui, sans-serif",
+    boldFont: "bold 12px system-ui, sans-serif",
+    padding: 8,
+    rowHeight: 22,
+    colors: {
+      background: "#fff",
+      different: "#fff9db",
+      best: "#d3f9d8",
+      worst: "#ffe3e3",
+      high: "#2b8a3e",
+      low: "#c92a2a",
+      text: "#212529",
+      grid: "#dee2e6",
+    },
+  };
+
+  // Draws the comparison table; resolves to a PNG blob
+  function toImage({ players, rows }) {
+    const { scale, padding, rowHeight, colors } = IMAGE;
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+
+    const header = ["", ...players.map((p) => p.name)];
+    ctx.font = IMAGE.boldFont;
+    const widths = header.map(
+      (text, col) =>
+        Math.max(
+          ctx.measureText(text).width,
+          ...rows.map(
+            (row) =>
+              ctx.measureText(col ? row.cells[col - 1].text : row.label).width
+          )
+        ) +
+        2 * padding
+    );
+    const width = widths.reduce((a, b) => a + b, 0);
+    const height = rowHeight * (rows.length + 1);
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    ctx.scale(scale, scale);
+    ctx.textBaseline = "middle";
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const drawRow = (y, cells, fill, bold) => {
+      let x = 0;
+      cells.forEach(({ text, background, color }, col) => {
+        ctx.fillStyle = background || fill;
+        ctx.fillRect(x, y, widths[col], rowHeight);
+        ctx.fillStyle = color || colors.text;
+        ctx.font = bold || col === 0 ? IMAGE.boldFont : IMAGE.font;
+        ctx.fillText(text, x + padding, y + rowHeight / 2);
+        x += widths[col];
+      });
+      ctx.fillStyle = colors.grid;
+      ctx.fillRect(0, y + rowHeight - 1, width, 1);
+    };
+
+    drawRow(
+      0,
+      header.map((text) => ({ text })),
+      colors.background,
+      true
+    );
+    rows.forEach((row, i) => {
+      drawRow(
+        rowHeight * (i + 1),
+        [
+          { text: row.label },
+          ...row.cells.map((cell) => ({
+            text: cell.text,
+            background: cell.rank && colors[cell.rank],
+            color: cell.potential && colors[cell.potential.kind],
+          })),
+        ],
+        row.different ? colors.different : colors.background
+      );
+    });
+
+    return new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("No image"))),
+        "image/png"
+      )
+    );
+  }
+
+  function imageFilename() {
+    const date = new Date().toISOString().slice(0, 10);
+    return `mz-comparison-${date}.png`;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Button that shows how its action went for a moment
+  function actionButton(label, action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.addEventListener("click", async () => {
+      try {
+        await action();
+        button.textContent = "Done!";
+      } catch (error) {
+        logE(`${label} failed:`, error);
+        button.textContent = "Failed";
+      }
+      setTimeout(() => (button.textContent = label), 1500);
+    });
+    return button;
+  }
+
+  // ---- Overlay ----
+  function buildTable({ players, rows }) {
+    const table = document.createElement("table");
+    table.className = "mz-overview-table mz-compare-table";
+
+    const headRow = document.createElement("tr");
+    headRow.appendChild(document.createElement("th"));
+    for (const player of players) {
+      const th = document.createElement("th");
+      th.textContent = player.name;
+      th.title = player.cached
+        ? `PID ${player.pid}, from the scout cache (no card on this page)`
+        : `PID ${player.pid}`;
+      if (player.cached) th.classList.add("is-cached");
+      headRow.appendChild(th);
+    }
+    table.createTHead().appendChild(headRow);
+
+    const body = table.createTBody();
+    for (const row of rows) {
+      const tr = body.insertRow();
+      if (row.different) tr.className = "is-different";
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = row.label;
+      tr.appendChild(th);
+
+      for (const cell of row.cells) {
+        const td = tr.insertCell();
+        td.textContent = cell.value ?? "–";
+        if (cell.mark) {
+          const mark = document.createElement("span");
+          mark.className =
+            cell.potential.kind === "high"
+              ? "mz-overview-high"
+              : "mz-overview-low";
+          mark.textContent = ` ${cell.mark}`;
+          td.appendChild(mark);
+        }
+        if (cell.rank) {
+          td.classList.add(`is-${cell.rank}`);
+          td.title = cell.rank === "best" ? "Best in the row" : "Weakest";
+        }
+      }
+    }
+    return table;
+  }
+
+  function showComparison(comparison) {
+    const { body } = openOverlay(OVERLAY_ID, "Player comparison");
+
+    const controls = document.createElement("div");
+    controls.className = "mz-overview-controls";
+    controls.append(
+      actionButton("Copy text table", () =>
+        navigator.clipboard.writeText(toTextTable(comparison))
+      ),
+      " ",
+      actionButton("Copy image", async () => {
+        const blob = await toImage(comparison);
+        await navigator.clipboard.write([
+          new ClipboardItem({ [blob.type]: blob }),
+        ]);
+      }),
+      " ",
+      actionButton("Save image", async () =>
+        downloadBlob(await toImage(comparison), imageFilename())
+      )
+    );
+
+    const note = document.createElement("p");
+    note.className = "mz-compare-note";
+    note.textContent =
+      "Green: best in the row, red: weakest; highlighted rows differ." +
+      (comparison.players.some((p) => p.cached)
+        ? " Cached players have no card here, so no age or skill levels."
+        : "");
+
+    body.replaceChildren(controls, buildTable(comparison), note);
+  }
+
+  async function openFromPicks() {
+    const sport = getSport();
+    const players = await Promise.all(
+      picked.map((pid) => {
+        const card = findCard(pid);
+        return card ? fromCard(card, pid) : fromCache(pid, null, sport);
+      })
+    );
+    log(`Comparing ${players.length} players`);
+    showComparison(buildComparison(players, sport));
+  }
+
+  // From the popup: cards on this page where there are any, the cached
+  // report otherwise
+  async function openFromPopup({ sport, players: requested }) {
+    const onPage = sport === getSport();
+    const players = await Promise.all(
+      requested.map(({ pid, name }) => {
+        const card = onPage && findCard(pid);
+        return card ? fromCard(card, pid) : fromCache(pid, name, sport);
+      })
+    );
+    log(`Comparing ${players.length} players from the popup`);
+    showComparison(buildComparison(players, sport));
+  }
+
+  // ---- Picking ----
+  function togglePick(pid, on) {
+    const index = picked.indexOf(pid);
+    if (on && index === -1 && picked.length < MAX_PLAYERS) picked.push(pid);
+    if (!on && index !== -1) picked.splice(index, 1);
+    render();
+  }
+
+  function renderPick(card) {
+    const pid = getPlayerIdFromCard(card);
+    const header = card.querySelector("h2.subheader");
+    let label = card.querySelector(".mz-compare-pick");
+    if (!isEnabled() || !pid || !header) {
+      label?.remove();
+      return;
+    }
+
+    if (!label) {
+      label = document.createElement("label");
+      label.className = "mz-compare-pick";
+      label.title = `Compare side by side (up to ${MAX_PLAYERS} players)`;
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.addEventListener("change", () => togglePick(pid, box.checked));
+      label.append(box, " Compare");
+      header.insertBefore(label, header.querySelector(".mz-scout-status"));
+    }
+
+    const box = label.querySelector("input");
+    const checked = picked.includes(pid);
+    if (box.checked !== checked) box.checked = checked;
+    box.disabled = !checked && picked.length >= MAX_PLAYERS;
+  }
+
+  function renderBar() {
+    let bar = document.getElementById(BAR_ID);
+    if (!isEnabled() || !picked.length) {
+      bar?.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = BAR_ID;
+      bar.className = "mz-compare-bar";
+      document.body.appendChild(bar);
+    }
+
+    const compare = document.createElement("button");
+    compare.type = "button";
+    compare.textContent = "Compare";
+    compare.disabled = picked.length < 2;
+    compare.addEventListener("click", openFromPicks);
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.textContent = "Clear";
+    clear.addEventListener("click", () => {
+      picked.length = 0;
+      render();
+    });
+
+    bar.replaceChildren(
+      `${picked.length} of ${MAX_PLAYERS} picked `,
+      compare,
+      " ",
+      clear
+    );
+  }
+
+  function render() {
+    getPlayerContainers().forEach(renderPick);
+    renderBar();
+  }
+
+  let renderTimer = null;
+  function scheduleRender() {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, RENDER_DELAY_MS);
+  }
+
+  function handleCardsChanged({ added }) {
+    if (added.length) scheduleRender();
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type !== "OPEN_COMPARISON") return;
+    if (!isFeatureEnabled("compare")) {
+      sendResponse({ error: "Player comparison is off in the options" });
+      return;
+    }
+    openFromPopup(message).catch((error) =>
+      logE("Could not open the comparison:", error)
+    );
+    sendResponse({ ok: true });
+  });
+
+  async function initialize() {
+    await whenSettingsReady();
+    log("Initializing player comparison");
+
+    onSettingsChange(render);
+    onCardsChanged(handleCardsChanged);
+    render();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,301 @@
+// Private notes and colored tags per player (background/player-notes.js):
+// edited from the card header, and shown next to player links anywhere
+// else the player turns up (search results, other teams, matches).
+(() => {
+  const {
+    createLogger,
+    getSport,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    sendToBackground,
+    getPlayerIdFromCard,
+    getPlayerNameFromContainer,
+    getPlayerContainers,
+    onCardsChanged,
+  } = MZCommon;
+
+  const { TAG_COLORS, parseNoteKey } = MZNoteFormat;
+
+  const { log, logE } = createLogger("content/player-notes");
+
+  const OWN_SELECTOR = ".mz-notes, .mz-notes-editor";
+  const PLAYER_LINK = "a[href*='pid=']";
+  const PLAYER_SHOWN = `.playerContainer, ${PLAYER_LINK}`;
+
+  // The pid of a note of this page's sport, null for anything else
+  function pidFromNoteKey(key) {
+    const note = parseNoteKey(key);
+    return note?.sport === getSport() ? note.pid : null;
+  }
+
+  const notesByPid = new Map(); // pid -> note, for this page's sport
+  const editing = new Set(); // pids with an open editor
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("notes");
+
+  async function loadNotes() {
+    const { notes } = await sendToBackground({ type: "NOTE_LIST" });
+    notesByPid.clear();
+    for (const { pid, sport, ...note } of notes) {
+      if (sport === getSport()) notesByPid.set(pid, note);
+    }
+  }
+
+  function tagChip(tag) {
+    const chip = document.createElement("span");
+    chip.className = `mz-tag mz-tag-${tag.color}`;
+    chip.textContent = tag.label;
+    return chip;
+  }
+
+  // Tags plus a note marker carrying the text as its tooltip
+  function buildSummary(note, className) {
+    const summary = document.createElement("span");
+    summary.className = `mz-notes ${className}`;
+    summary.append(...note.tags.map(tagChip));
+    if (note.text) {
+      const marker = document.createElement("span");
+      marker.className = "mz-note-marker";
+      marker.textContent = "🗒";
+      marker.title = note.text;
+      summary.appendChild(marker);
+    }
+    return summary;
+  }
+
+  // ---- Card header ----
+  function renderCard(container) {
+    const pid = getPlayerIdFromCard(container);
+    const header = container.querySelector("h2.subheader") || container;
+    const openEditor = container.querySelector(".mz-notes-editor");
+    header.querySelectorAll(".mz-notes").forEach((el) => el.remove());
+    if (!pid || !isEnabled() || !editing.has(pid)) openEditor?.remove();
+    if (!pid || !isEnabled()) return;
+
+    const note = notesByPid.get(pid) || { text: "", tags: [] };
+    const summary = buildSummary(note, "mz-card-notes");
+
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.className = "mz-notes-edit";
+    edit.textContent = "✎";
+    edit.title = "Notes & tags";
+    edit.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (editing.has(pid)) editing.delete(pid);
+      else editing.add(pid);
+      renderCard(container);
+    });
+    summary.appendChild(edit);
+    header.insertBefore(summary, header.querySelector(".mz-scout-status"));
+
+    // An open editor is left alone so re-renders don't lose what's typed
+    if (editing.has(pid) && !openEditor?.isConnected) {
+      const editor = buildEditor(container, pid, note);
+      if (header === container) container.prepend(editor);
+      else header.after(editor);
+    }
+  }
+
+  function buildEditor(container, pid, note) {
+    const tags = note.tags.map((tag) => ({ ...tag }));
+
+    const editor = document.createElement("div");
+    editor.className = "mz-notes-editor";
+
+    const text = document.createElement("textarea");
+    text.rows = 3;
+    text.placeholder = "Private notes, e.g. “sell after season”";
+    text.value = note.text;
+
+    const tagList = document.createElement("div");
+    tagList.className = "mz-notes-tags";
+    const renderTags = () => {
+      tagList.replaceChildren(
+        ...tags.map((tag, i) => {
+          const chip = tagChip(tag);
+          const remove = document.createElement("button");
+          remove.type = "button";
+          remove.textContent = "×";
+          remove.title = `Remove “${tag.label}”`;
+          remove.addEventListener("click", () => {
+            tags.splice(i, 1);
+            renderTags();
+          });
+          chip.appendChild(remove);
+          return chip;
+        })
+      );
+    };
+    renderTags();
+
+    const tagInput = document.createElement("input");
+    tagInput.placeholder = "New tag";
+    const colorSelect = document.createElement("select");
+    for (const color of TAG_COLORS) colorSelect.add(new Option(color, color));
+    const addTag = document.createElement("button");
+    addTag.type = "button";
+    addTag.textContent = "Add tag";
+    addTag.addEventListener("click", () => {
+      const label = tagInput.value.trim();
+      if (!label) return;
+      tags.push({ label, color: colorSelect.value });
+      tagInput.value = "";
+      renderTags();
+    });
+
+    const save = document.createElement("button");
+    save.type = "button";
+    save.textContent = "Save";
+    save.addEventListener("click", async () => {
+      save.disabled = true;
+      try {
+        await saveNote(pid, {
+          text: text.value,
+          tags,
+          playerName: getPlayerNameFromContainer(container),
+        });
+        editing.delete(pid);
+        decorateAll();
+      } catch (error) {
+        logE(`Could not save notes for ${pid}:`, error);
+        save.disabled = false;
+        save.textContent = "Save failed, retry";
+      }
+    });
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", () => {
+      editing.delete(pid);
+      renderCard(container);
+    });
+
+    const tagRow = document.createElement("div");
+    tagRow.append(tagInput, colorSelect, addTag);
+    const actions = document.createElement("div");
+    actions.append(save, cancel);
+
+    editor.append(text, tagList, tagRow, actions);
+    return editor;
+  }
+
+  async function saveNote(pid, note) {
+    const { note: saved } = await sendToBackground({
+      type: "NOTE_SET",
+      pid,
+      sport: getSport(),
+      note,
+    });
+    if (saved) notesByPid.set(pid, saved);
+    else notesByPid.delete(pid);
+  }
+
+  // ---- Player links elsewhere on the page ----
+  function pidFromLink(link) {
+    try {
+      const pid = new URL(link.href, location.href).searchParams.get("pid");
+      return pid && /^\d+$/.test(pid) ? pid : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Summaries after links inside `root`; the ones already there are
+  // replaced, so this also updates links after a note changed
+  function decorateLinks(root = document.body) {
+    const links = root.matches(PLAYER_LINK)
+      ? [root]
+      : root.querySelectorAll(PLAYER_LINK);
+    for (const link of links) {
+      // Cards have their own header controls
+      if (link.closest(".playerContainer") || link.closest(OWN_SELECTOR)) {
+        continue;
+      }
+      const shown = link.nextElementSibling;
+      if (shown?.matches(".mz-link-notes")) shown.remove();
+      if (!isEnabled() || !link.textContent.trim()) continue;
+
+      const note = notesByPid.get(pidFromLink(link));
+      if (note) link.after(buildSummary(note, "mz-link-notes"));
+    }
+  }
+
+  function decorateAll() {
+    getPlayerContainers().forEach(renderCard);
+    decorateLinks();
+  }
+
+  // ---- Page changes ----
+  // Notes are only read once the page shows a player card or link;
+  // most pages never do
+  let loadState = "idle"; // then "loading", "loaded" or "failed"
+
+  const showsPlayers = (root) =>
+    root.matches(PLAYER_SHOWN) || !!root.querySelector(PLAYER_SHOWN);
+
+  async function start() {
+    loadState = "loading";
+    try {
+      await loadNotes();
+    } catch (error) {
+      loadState = "failed";
+      logE("Could not load player notes:", error);
+      return;
+    }
+    loadState = "loaded";
+
+    onSettingsChange(decorateAll);
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    decorateAll();
+  }
+
+  // Cards the page added or re-rendered something in get their header
+  // back; anything else it added only has its player links decorated
+  function handleCardsChanged({ added, changed, nodes }) {
+    if (loadState === "idle" && [...added, ...nodes].some(showsPlayers)) {
+      start();
+    }
+    // Whatever turns up while loading is covered by decorateAll
+    if (loadState !== "loaded") return;
+    [...added, ...changed].forEach(renderCard);
+    nodes.forEach((node) => decorateLinks(node));
+  }
+
+  // Notes edited in another tab or in the popup
+  function handleStorageChange(changes, area) {
+    if (area !== "local") return;
+    const changed = new Set();
+    for (const [key, { newValue }] of Object.entries(changes)) {
+      const pid = pidFromNoteKey(key);
+      if (!pid) continue;
+      if (newValue) notesByPid.set(pid, newValue);
+      else notesByPid.delete(pid);
+      changed.add(pid);
+    }
+    if (!changed.size) return;
+
+    getPlayerContainers()
+      .filter((card) => changed.has(getPlayerIdFromCard(card)))
+      .forEach(renderCard);
+    decorateLinks();
+  }
+
+  async function initialize() {
+    await whenSettingsReady();
+    log("Initializing player notes");
+
+    onCardsChanged(handleCardsChanged);
+    if (showsPlayers(document.body)) start();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,115 @@
+// Position fit: the two positions each soccer player suits best (see
+// shared/positions.js), with the current score and the one projected from
+// the scout report, in the card header.
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    getSettings,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromCard,
+    getSkillRows,
+    getSkillLevels,
+    getPotentialById,
+    processedPlayers,
+    onPlayerProcessed,
+    onCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log } = createLogger("content/position-fit");
+
+  const HEADER_POSITIONS = 2;
+  const RENDER_DELAY_MS = 200;
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("positionFit");
+
+  function evaluate(container) {
+    const levels = getSkillLevels(container);
+    if (!levels.size) return [];
+
+    const pid = getPlayerIdFromCard(container);
+    const scoutData = pid && processedPlayers.get(pid);
+    return MZPositions.rankPositions({
+      levels,
+      potentials: scoutData
+        ? getPotentialById(scoutData, getSkillRows(container))
+        : new Map(),
+      profiles: getSettings().positionProfiles,
+    });
+  }
+
+  // "CB 72→81", or just "CB 72" without a scout report
+  function formatFit({ position, current, projected }) {
+    return projected == null
+      ? `${position} ${current}`
+      : `${position} ${current}→${projected}`;
+  }
+
+  function describeFit({ position, current, projected }) {
+    const name = MZPositions.POSITION_NAMES[position];
+    return projected == null
+      ? `${name}: ${current}/100 (no scout report for a projection)`
+      : `${name}: ${current}/100 now, ${projected}/100 projected`;
+  }
+
+  function renderFit(container) {
+    const header = container.querySelector("h2.subheader") || container;
+    let fit = header.querySelector(".mz-position-fit");
+    const ranked = isEnabled() ? evaluate(container) : [];
+    if (!ranked.length) {
+      fit?.remove();
+      return;
+    }
+    if (!fit) {
+      fit = document.createElement("span");
+      fit.className = "mz-position-fit";
+      header.insertBefore(fit, header.querySelector(".mz-scout-status"));
+    }
+
+    const text = `Fits: ${ranked
+      .slice(0, HEADER_POSITIONS)
+      .map(formatFit)
+      .join(" · ")}`;
+    if (fit.textContent !== text) fit.textContent = text;
+    fit.title = ranked.map(describeFit).join("\n");
+  }
+
+  function render() {
+    getPlayerContainers().forEach(renderFit);
+  }
+
+  let renderTimer = null;
+  function scheduleRender() {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, RENDER_DELAY_MS);
+  }
+
+  function handleCardsChanged({ added }) {
+    if (added.length) scheduleRender();
+  }
+
+  async function initialize() {
+    // The profiles are soccer positions; the transfer market has its own
+    // module (content/transfer-market.js)
+    if (getSport() !== "soccer" || getPageType() === "transfer") return;
+
+    await whenSettingsReady();
+    log("Initializing position fit");
+
+    onPlayerProcessed(scheduleRender);
+    onSettingsChange(scheduleRender);
+    onCardsChanged(handleCardsChanged);
+    scheduleRender();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
@@ -1,486 +1,412 @@
 (() => {
-  // Minimal delay between requests to be polite (tune if needed)
-  const REQUEST_GAP_MS = 250;
-
-  // Cache configuration
-  const CACHE_KEY_PREFIX = "mz-scout-";
-  const CACHE_VERSION = "v1";
-  const CACHE_EXPIRY_DAYS = 30; // Scout reports never change, but set reasonable expiry
-
-  const scoutUrl = (pid) =>
-    `https://www.managerzone.com/ajax.php?p=players&sub=scout_report&pid=${pid}&sport=soccer`;
-
-  const getPlayerContainers = () =>
-    Array.from(document.querySelectorAll(".playerContainer"));
-
-  function log(...message) {
-    console.log("[MZ Tools][content/scout-report]", ...message);
-  }
-
-  function logE(...message) {
-    console.error("[MZ Tools][content/scout-report]", ...message);
-  }
-
-  // ---- Cache utilities ----
-  function getCacheKey(pid) {
-    return `${CACHE_KEY_PREFIX}${CACHE_VERSION}-${pid}`;
-  }
-
-  function getCachedScoutData(pid) {
-    try {
-      const key = getCacheKey(pid);
-      const cached = localStorage.getItem(key);
-      if (!cached) return null;
-
-      const data = JSON.parse(cached);
-      const now = Date.now();
-
-      // Check if cache has expired
-      if (data.expires && now > data.expires) {
-        localStorage.removeItem(key);
-        return null;
-      }
-
-      return data.scoutData;
-    } catch (error) {
-      logE("Error reading from cache:", error);
-      return null;
+  const {
+    PRIORITY,
+    createLogger,
+    getPageType,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    migrateLegacyCache,
+    getPlayerIdFromContainer,
+    getPlayerNameFromContainer,
+    isInViewport,
+    fetchScout,
+    getCachedScout,
+    applyFlagsToContainer,
+    renderStatus,
+    renderScoutError,
+    renderRefreshControl,
+    renderScoutBadge,
+    clearEnhancements,
+    hasScoutLink,
+    hasPlayerSkillsTable,
+    processedPlayers,
+    storeProcessedPlayer,
+    storeNoReport,
+    onLoadAllRequested,
+    notifyCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log, logE } = createLogger("content/scout-report");
+
+  // Cards are only queued for a fetch once they come this close to the
+  // viewport; the rest get whatever the cache already holds
+  const NEAR_VIEWPORT_MARGIN = "600px 0px";
+
+  const DEDICATED_PAGES = ["transfer", "youthAcademy", "youthExchange"];
+
+  // Our own additions (all "mz-" classes or ids) never count as page changes
+  const OWN_NODE = "[class^='mz-'], [class*=' mz-'], [id^='mz-']";
+
+  // Cached report only: renders it and resolves true, or false on a miss
+  async function processFromCache(container) {
+    const pid = getPlayerIdFromContainer(container);
+    if (!pid || !hasScoutLink(container) || !hasPlayerSkillsTable(container)) {
+      return false;
     }
+    const scoutData = processedPlayers.get(pid) || (await getCachedScout(pid));
+    if (!scoutData) return false;
+
+    storeProcessedPlayer(pid, scoutData);
+    renderRefreshControl(container, (refreshPriority) =>
+      processContainerAndStore(container, {
+        force: true,
+        priority: refreshPriority,
+      })
+    );
+    reapplyFlags(container);
+    return true;
   }
 
-  function setCachedScoutData(pid, scoutData) {
-    try {
-      const key = getCacheKey(pid);
-      const expiryTime = Date.now() + CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  // ---- Orchestration ----
+  // `force` refetches the report instead of using the cache (re-scout)
+  async function processContainerAndStore(
+    container,
+    { force = false, priority } = {}
+  ) {
+    const pid = getPlayerIdFromContainer(container);
+    if (!pid) return;
 
-      const cacheEntry = {
-        scoutData,
-        expires: expiryTime,
-        cached: Date.now(),
-      };
+    if (!hasScoutLink(container)) {
+      renderStatus(container, "No scout link", "is-error");
+      storeNoReport(pid);
+      return;
+    }
 
-      localStorage.setItem(key, JSON.stringify(cacheEntry));
-    } catch (error) {
-      logE("Error writing to cache:", error);
-      // Continue without caching if localStorage is full or unavailable
+    if (!hasPlayerSkillsTable(container)) {
+      renderStatus(container, "No skills table", "is-error");
+      return;
     }
-  }
 
-  function clearScoutCache() {
+    renderStatus(
+      container,
+      force ? "Refreshing scout…" : "Fetching scout…",
+      "is-loading"
+    );
+    renderRefreshControl(container, (refreshPriority) =>
+      processContainerAndStore(container, {
+        force: true,
+        priority: refreshPriority,
+      })
+    );
+
     try {
-      const keys = Object.keys(localStorage);
-      const cacheKeys = keys.filter((key) => key.startsWith(CACHE_KEY_PREFIX));
+      priority ??= isInViewport(container) ? PRIORITY.VISIBLE : PRIORITY.NORMAL;
+      const scoutData = await fetchScout(
+        pid,
+        priority,
+        getPlayerNameFromContainer(container),
+        { force }
+      );
+      const { highest, lowest } = scoutData;
 
-      for (const key of cacheKeys) {
-        localStorage.removeItem(key);
+      if (!highest?.length && !lowest?.length) {
+        renderStatus(container, "No scout info", "is-error");
+        return;
       }
 
-      log(`Scout cache cleared - ${cacheKeys.length} items removed`);
-      return cacheKeys.length;
-    } catch (error) {
-      logE("Error clearing cache:", error);
-      return 0;
-    }
-  }
-
-  function getPlayerIdFromContainer(container) {
-    // Preferred: span#player_id_<PID> .player_id_span => textContent
-    const idSpan = container.querySelector(
-      "[id^='player_id_'] .player_id_span"
-    );
-    if (idSpan?.textContent?.trim()) {
-      return idSpan.textContent.trim();
-    } else {
-      logE(`Cannot find player ID, idSpan=${idSpan}`);
-      return null;
-    }
-  }
+      // Store the data for reapplication (and the other page modules)
+      storeProcessedPlayer(pid, scoutData);
 
-  // ---- Scout report parsing ----
-  function parseScoutHTML(htmlText) {
-    const doc = new DOMParser().parseFromString(htmlText, "text/html");
-    const dds = Array.from(doc.querySelectorAll("dd"));
-    let highest = [];
-    let lowest = [];
-    let starsHigh, starsLow;
-
-    for (const dd of dds) {
-      const title = dd
-        .querySelector("li > strong")
-        ?.textContent?.trim()
-        .toLowerCase();
-      if (!title) continue;
-
-      const skills = Array.from(dd.querySelectorAll("ul li"))
-        .map((li) => li.textContent.trim())
-        .filter((t) => t && !/potential|youth training speed/i.test(t));
-
-      const starContainer = dd.querySelector(".stars");
-      const litCount = starContainer
-        ? starContainer.querySelectorAll(".lit").length
-        : undefined;
-
-      if (title.includes("highest")) {
-        highest = skills;
-        starsHigh = litCount;
-      } else if (title.includes("lowest")) {
-        lowest = skills;
-        starsLow = litCount;
+      // The page may have been switched off in the options meanwhile
+      if (!isPageEnabled()) {
+        clearEnhancements(container);
+        return;
       }
-    }
-    return { highest, lowest, starsHigh, starsLow };
-  }
 
-  async function fetchScout(pid) {
-    // Check cache first
-    const cachedData = getCachedScoutData(pid);
-    if (cachedData) {
-      log(`Using cached scout data for player ${pid}`);
-      return cachedData;
+      applyFlagsToContainer(container, scoutData);
+      renderScoutBadge(container, scoutData);
+      renderStatus(
+        container,
+        force ? "Scout refreshed" : "Scout flags added",
+        "is-done"
+      );
+    } catch (e) {
+      renderScoutError(container, e);
     }
-
-    // Fetch from server if not cached
-    log(`Fetching scout data from server for player ${pid}`);
-    const res = await fetch(scoutUrl(pid), {
-      method: "GET",
-      credentials: "include",
-      headers: { Accept: "text/html, */*;q=0.1" },
-      cache: "no-store",
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-    const scoutData = parseScoutHTML(await res.text());
-
-    // Cache the result for future use
-    setCachedScoutData(pid, scoutData);
-
-    return scoutData;
-  }
-
-  // ---- Skill row helpers ----
-  const SKILL_NAME_ALIAS = new Map([
-    // common aliases/normalizations if needed in the future
-    ["play intelligence", "play intelligence"],
-    ["ball control", "ball control"],
-    ["aerial passing", "aerial passing"],
-    ["set plays", "set plays"],
-    ["goalkeeping", "keeping"], // sometimes reports say "Keeping"
-    ["keeping", "keeping"],
-    ["tackling", "tackling"],
-    ["passing", "passing"],
-    ["heading", "heading"],
-    ["shooting", "shooting"],
-    ["speed", "speed"],
-    ["stamina", "stamina"],
-    ["form", "form"],
-    ["experience", "experience"],
-  ]);
-
-  function norm(s) {
-    return s?.trim().toLowerCase();
-  }
-  function normalizeSkillName(name) {
-    const key = norm(name);
-    return SKILL_NAME_ALIAS.get(key) || key;
   }
 
-  function findAllSkillNameSpans(container) {
-    // find both desktop and responsive tables
-    return Array.from(
-      container.querySelectorAll(".player_skills td:first-child .clippable")
-    );
-  }
+  // Re-renders a card from the report we already have; the flag writes
+  // are diffed, so calling this on an up-to-date card changes nothing.
+  // Returns how many skill rows were rewritten.
+  function reapplyFlags(container) {
+    if (!isPageEnabled()) return 0;
+    const pid = getPlayerIdFromContainer(container);
+    const scoutData = pid && processedPlayers.get(pid);
+    if (!scoutData) return 0;
 
-  function mapNameToRow(container) {
-    const map = new Map();
-    for (const span of findAllSkillNameSpans(container)) {
-      const tr = span.closest("tr");
-      if (!tr) continue;
-      const skillNorm = normalizeSkillName(span.textContent);
-      if (!map.has(skillNorm)) map.set(skillNorm, []);
-      map.get(skillNorm).push({ span, tr });
+    if (!hasPlayerSkillsTable(container)) {
+      renderStatus(container, "No skills table", "is-error");
+      return 0;
     }
-    return map;
+
+    const rewritten = applyFlagsToContainer(container, scoutData);
+    renderScoutBadge(container, scoutData);
+    renderStatus(container, "Scout flags added", "is-done");
+    return rewritten;
   }
 
-  // ---- Flag injection ----
-  function getFlagCells(tr) {
-    const tds = tr.querySelectorAll(":scope > td");
-    // We expect: [0]=name, [1]=w7, [2]=w7, [3]=w6
-    if (tds.length >= 4) return [tds[1], tds[2], tds[3]];
-    // Fallback: try selecting by width attributes if structure shifts
-    const cols = Array.from(
-      tr.querySelectorAll(":scope > td[width='7'], :scope > td[width='6']")
+  function reapplyFlagsToExistingPlayers() {
+    return getPlayerContainers().reduce(
+      (rewritten, container) => rewritten + reapplyFlags(container),
+      0
     );
-    return cols.slice(0, 3);
   }
 
-  function clearFlagCells(cells) {
-    cells.forEach((td) => {
-      if (td) td.innerHTML = "";
-    });
-  }
+  // ---- Viewport-driven fetching ----
+  // Cards we've started handling, so re-runs don't queue them twice
+  const processedContainers = new WeakSet();
+  const waitingContainers = new Set(); // observed, not yet near the viewport
+  const queuedInBackground = new WeakSet(); // waiting, but already queued
 
-  const FLAG_IMG = {
-    green: "img/flag_green.png",
-    yellow: "img/flag_yellow.png",
-    red: "img/flag_red.png",
-  };
-
-  function flagImg(color) {
-    const img = document.createElement("img");
-    img.src = FLAG_IMG[color];
-    img.width = 6;
-    img.height = 10;
-    img.alt = "";
-    img.style.verticalAlign = "middle";
-    return img;
+  function waitForViewport(container) {
+    waitingContainers.add(container);
+    nearViewport.observe(container);
   }
 
-  function setFlagsInCells(cells, color, count) {
-    clearFlagCells(cells);
-    for (let i = 0; i < Math.min(count, cells.length); i++) {
-      cells[i].appendChild(flagImg(color));
-    }
+  function stopWaiting(container) {
+    waitingContainers.delete(container);
+    nearViewport.unobserve(container);
   }
 
-  function applyFlagsToContainer(
-    container,
-    highest,
-    lowest,
-    starsHigh,
-    starsLow
-  ) {
-    const rows = Array.from(container.querySelectorAll(".player_skills tr"));
-    if (!rows.length) return;
-
-    // Build a quick lookup from normalized skill name -> row(s)
-    const norm = (s) => s?.trim().toLowerCase();
-    const nameToRows = new Map();
-    for (const tr of rows) {
-      const nameSpan = tr.querySelector("td:first-child .clippable");
-      if (!nameSpan) continue;
-      const key = norm(nameSpan.textContent);
-      if (!nameToRows.has(key)) nameToRows.set(key, []);
-      nameToRows.get(key).push(tr);
-    }
-
-    // Helpers for counts
-    const highCount = ((stars) =>
-      stars === 4 ? 3 : stars === 3 ? 2 : stars === 2 ? 1 : 0)(starsHigh);
-    const lowSpec =
-      starsLow === 2
-        ? { color: "yellow", count: 1 }
-        : starsLow === 1
-        ? { color: "red", count: 1 }
-        : null;
-
-    // High potentials: fill left→right with green flags
-    if (highCount > 0) {
-      for (const skill of highest) {
-        const trs = nameToRows.get(norm(skill));
-        if (!trs) continue;
-        for (const tr of trs) {
-          const cells = getFlagCells(tr);
-          setFlagsInCells(cells, "green", highCount);
-        }
-      }
-    }
-
-    // Low potentials: one flag (yellow for 2★, red for 1★) in the leftmost of the 3 cells
-    if (lowSpec) {
-      for (const skill of lowest) {
-        const trs = nameToRows.get(norm(skill));
-        if (!trs) continue;
-        for (const tr of trs) {
-          const cells = getFlagCells(tr);
-          // Clear any existing flags first (each skill should be either high or low in the report)
-          clearFlagCells(cells);
-          setFlagsInCells(cells, lowSpec.color, lowSpec.count);
-        }
+  const nearViewport = new IntersectionObserver(
+    (entries) => {
+      for (const { target, isIntersecting } of entries) {
+        // Switched-off pages keep waiting until switched back on
+        if (!isIntersecting || !isPageEnabled()) continue;
+        stopWaiting(target);
+        processContainerAndStore(target, { priority: PRIORITY.VISIBLE });
       }
-    }
+    },
+    { rootMargin: NEAR_VIEWPORT_MARGIN }
+  );
+
+  // A filter or sort on scout data needs every report (see
+  // requestAllScouts): from then on waiting cards, including ones added
+  // later, are queued behind the visible ones. They stay observed, so one
+  // scrolled near meanwhile is moved up.
+  let loadAll = false;
+
+  function queueInBackground(container) {
+    if (queuedInBackground.has(container)) return;
+    queuedInBackground.add(container);
+    processContainerAndStore(container, {
+      priority: PRIORITY.BACKGROUND,
+    }).finally(() => stopWaiting(container));
   }
 
-  // ---- Orchestration ----
-  function renderStatus(container, text, className) {
-    // Put a tiny status on the right side of the header to avoid clutter
-    const header = container.querySelector("h2.subheader") || container;
-    let status = header.querySelector(".mz-scout-status");
-    if (!status) {
-      status = document.createElement("span");
-      status.className = "mz-scout-status";
-      header.appendChild(status);
-    }
-    status.textContent = text;
-    status.className = `mz-scout-status ${className || ""}`;
-  }
-
-  function hasScoutLink(container) {
-    return !!container.querySelector(
-      `a[title*="Scout report" i], a[href*="sub=scout_report"], .scout_report`
+  function queueWaitingContainers() {
+    loadAll = true;
+    if (!isPageEnabled()) return;
+    const waiting = [...waitingContainers].filter(
+      (container) => !queuedInBackground.has(container)
     );
+    if (!waiting.length) return;
+    log(`Queueing ${waiting.length} off-screen cards in the background`);
+    waiting.forEach(queueInBackground);
   }
 
-  function hasPlayerSkillsTable(container) {
-    const skillsTable = container.querySelector(".player_skills");
-    if (!skillsTable) return false;
-
-    // Check if table has actual skill rows
-    const rows = skillsTable.querySelectorAll("tr");
-    return rows.length > 0;
-  }
-
-  // Store processed player data to reapply after DOM changes
-  const processedPlayers = new Map(); // pid -> { highest, lowest, starsHigh, starsLow }
-
-  async function processContainerAndStore(container, delayMs) {
-    const pid = getPlayerIdFromContainer(container);
-    if (!pid) return;
-
+  // New card: use the cache straight away when it has the report,
+  // otherwise wait until the card scrolls near (or a filter reveals it)
+  async function trackContainer(container) {
+    processedContainers.add(container);
     if (!hasScoutLink(container)) {
-      renderStatus(container, "No scout link", "is-error");
+      processContainerAndStore(container); // nothing to fetch
       return;
     }
-
-    if (!hasPlayerSkillsTable(container)) {
-      renderStatus(container, "No skills table", "is-error");
-      return;
-    }
-
-    renderStatus(container, "Fetching scout…", "is-loading");
-    await new Promise((r) => setTimeout(r, delayMs));
-
+    // Waiting starts right away, so a card on screen doesn't sit behind
+    // the cache lookups of the whole squad; the queue answers from the
+    // cache too, should it win the race
+    waitForViewport(container);
     try {
-      const scoutData = await fetchScout(pid);
-      const { highest, lowest, starsHigh, starsLow } = scoutData;
-
-      if (!highest?.length && !lowest?.length) {
-        renderStatus(container, "No scout info", "is-error");
+      if (await processFromCache(container)) {
+        stopWaiting(container);
         return;
       }
-
-      // Store the data for reapplication
-      processedPlayers.set(pid, scoutData);
-
-      applyFlagsToContainer(container, highest, lowest, starsHigh, starsLow);
-      renderStatus(container, "Scout flags added", "is-done");
-    } catch (e) {
-      renderStatus(container, `Scout error: ${e.message}`, "is-error");
+    } catch (error) {
+      logE("Cache lookup failed:", error);
     }
+    // Scrolled near meanwhile and already being fetched
+    if (!waitingContainers.has(container)) return;
+    if (!container.isConnected || !isPageEnabled()) return;
+    renderStatus(container, "Scout on scroll", "is-pending");
+    if (loadAll) queueInBackground(container);
   }
 
-  function reapplyFlagsToExistingPlayers() {
-    const containers = getPlayerContainers();
+  function processNewContainers() {
+    if (!isPageEnabled()) return;
+    const newContainers = getPlayerContainers().filter(
+      (c) => !processedContainers.has(c)
+    );
+    if (!newContainers.length) return;
+
+    log(`Found ${newContainers.length} new player containers`);
+    newContainers.forEach(trackContainer);
+  }
 
-    for (const container of containers) {
-      const pid = getPlayerIdFromContainer(container);
-      if (!pid) continue;
+  // ---- DOM observer ----
+  // The one observer for all page modules (MZCommon.onCardsChanged).
+  // Mutations are collected per animation frame and only the cards they
+  // touched are handled here: new cards are tracked, cards the page
+  // re-rendered something in get their flags re-applied
+  const addedContainers = new Set();
+  const changedContainers = new Set();
+  const removedContainers = new Set();
+  const addedNodes = new Set(); // page content outside any card
+  let flushScheduled = false;
+
+  // Inside one of our additions; a card we hid is still the page's
+  function isOwnNode(node) {
+    for (let el = node; el; el = el.parentElement) {
+      if (el.matches(".playerContainer")) return false;
+      if (el.matches(OWN_NODE)) return true;
+    }
+    return false;
+  }
 
-      const scoutData = processedPlayers.get(pid);
-      if (!scoutData) continue;
+  function containersIn(node) {
+    if (node.matches(".playerContainer")) return [node];
+    return Array.from(node.querySelectorAll(".playerContainer"));
+  }
 
-      // Check if skills table is available before applying flags
-      if (!hasPlayerSkillsTable(container)) {
-        renderStatus(container, "No skills table", "is-error");
+  function collectMutation(mutation) {
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE || isOwnNode(node)) continue;
+      const card = node.closest(".playerContainer");
+      if (card && card !== node) {
+        changedContainers.add(card);
         continue;
       }
+      containersIn(node).forEach((c) => addedContainers.add(c));
+      if (!card) addedNodes.add(node);
+    }
 
-      const { highest, lowest, starsHigh, starsLow } = scoutData;
-      applyFlagsToContainer(container, highest, lowest, starsHigh, starsLow);
-      renderStatus(container, "Scout flags added", "is-done");
+    for (const node of mutation.removedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      containersIn(node).forEach((c) => removedContainers.add(c));
     }
   }
 
-  // Track which containers we've already processed to avoid duplicates
-  const processedContainers = new WeakSet();
-
-  // Process any new player containers that appear
-  function processNewContainers() {
-    const containers = getPlayerContainers();
-    const newContainers = containers.filter((c) => !processedContainers.has(c));
-
-    if (newContainers.length === 0) return;
-
-    log(`Found ${newContainers.length} new player containers`);
+  function takeCardChanges() {
+    // Moved cards are removed and re-added in the same batch; they are
+    // neither new nor gone
+    const isNew = (c) => addedContainers.has(c) && !removedContainers.has(c);
+    const moved = [...addedContainers].filter(
+      (c) => c.isConnected && removedContainers.has(c)
+    );
+    const change = {
+      added: [...addedContainers].filter((c) => c.isConnected && isNew(c)),
+      removed: [...removedContainers].filter((c) => !c.isConnected),
+      changed: [...changedContainers].filter((c) => c.isConnected && !isNew(c)),
+      nodes: [...addedNodes].filter((node) => node.isConnected),
+    };
+    addedContainers.clear();
+    changedContainers.clear();
+    removedContainers.clear();
+    addedNodes.clear();
+    return { change, moved };
+  }
 
-    // Mark as processed immediately to avoid duplicates
-    newContainers.forEach((c) => processedContainers.add(c));
+  // Whether this module flags the cards of this page (see initialize)
+  let handlesPage = false;
+
+  function flushMutations() {
+    flushScheduled = false;
+    const { change, moved } = takeCardChanges();
+    change.removed.forEach(stopWaiting);
+
+    if (handlesPage && isPageEnabled()) {
+      let tracked = 0;
+      let rewritten = 0;
+      for (const container of [...change.added, ...change.changed]) {
+        if (processedContainers.has(container)) {
+          rewritten += reapplyFlags(container);
+        } else {
+          trackContainer(container);
+          tracked++;
+        }
+      }
+      // A moved card keeps its flags; one we never saw is still new
+      for (const container of moved) {
+        if (processedContainers.has(container)) continue;
+        trackContainer(container);
+        tracked++;
+      }
+      const touched = change.added.length + change.changed.length;
+      if (touched || tracked) {
+        log(
+          `DOM batch: ${touched} cards touched, ${tracked} new, ` +
+            `${rewritten} skill rows rewritten`
+        );
+      }
+    }
 
-    // Process with staggered delays
-    newContainers.forEach((c, i) =>
-      processContainerAndStore(c, i * REQUEST_GAP_MS)
-    );
+    const { added, removed, changed, nodes } = change;
+    if (added.length || removed.length || changed.length || nodes.length) {
+      notifyCardsChanged(change);
+    }
   }
 
   // Watch for DOM changes (player containers appearing/filtering/etc)
   function setupDOMObserver() {
-    const targetNode = document.body;
-    if (!targetNode) {
-      log("document.body not available yet, retrying...");
-      setTimeout(setupDOMObserver, 100);
-      return;
-    }
-
     const observer = new MutationObserver((mutations) => {
-      let hasPlayerContainerChanges = false;
-
-      for (const mutation of mutations) {
-        if (mutation.type === "childList") {
-          // Check if any added nodes contain player containers
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              if (
-                node.classList?.contains("playerContainer") ||
-                node.querySelector?.(".playerContainer")
-              ) {
-                hasPlayerContainerChanges = true;
-                break;
-              }
-            }
-          }
-
-          // Also check removed nodes for reapplication scenarios
-          if (!hasPlayerContainerChanges) {
-            for (const node of mutation.removedNodes) {
-              if (node.nodeType === Node.ELEMENT_NODE) {
-                if (
-                  node.classList?.contains("playerContainer") ||
-                  node.querySelector?.(".playerContainer")
-                ) {
-                  hasPlayerContainerChanges = true;
-                  break;
-                }
-              }
-            }
-          }
-        }
-
-        if (hasPlayerContainerChanges) break;
-      }
-
-      if (hasPlayerContainerChanges) {
-        log("Player container changes detected");
-        // Small delay to ensure DOM is fully updated
-        setTimeout(() => {
-          processNewContainers();
-          reapplyFlagsToExistingPlayers();
-        }, 100);
+      mutations.forEach(collectMutation);
+      if (flushScheduled) return;
+      if (
+        !addedContainers.size &&
+        !changedContainers.size &&
+        !removedContainers.size &&
+        !addedNodes.size
+      ) {
+        return;
       }
+      flushScheduled = true;
+      requestAnimationFrame(flushMutations);
     });
-
-    observer.observe(targetNode, {
-      childList: true,
-      subtree: true,
-    });
-
+    observer.observe(document.body, { childList: true, subtree: true });
     log("DOM observer initialized and watching for player containers");
   }
 
+  // Options changed: re-render with the new settings, or strip our
+  // additions when this page type was switched off
+  function handleSettingsChange() {
+    if (!isPageEnabled()) {
+      getPlayerContainers().forEach(clearEnhancements);
+      return;
+    }
+    // Observing again reports where waiting cards are right now, which
+    // picks up any that came into view while the page was switched off.
+    // (A copy: re-adding to the set while iterating it never ends.)
+    for (const container of [...waitingContainers]) {
+      stopWaiting(container);
+      waitForViewport(container);
+    }
+    processNewContainers();
+    const rewritten = reapplyFlagsToExistingPlayers();
+    log(`Settings changed, ${rewritten} skill rows rewritten`);
+  }
+
   // Initialize scout report functionality
-  function initialize() {
+  async function initialize() {
+    // These have their own modules (content/transfer-market.js,
+    // content/youth-players.js); the other page modules still follow
+    // their cards through our observer
+    if (DEDICATED_PAGES.includes(getPageType())) {
+      await whenSettingsReady();
+      setupDOMObserver();
+      return;
+    }
+
     log("Initializing scout report enhancement");
 
+    migrateLegacyCache();
+
+    await whenSettingsReady();
+    handlesPage = true;
+    onSettingsChange(handleSettingsChange);
+    onLoadAllRequested(queueWaitingContainers);
+
     // Always set up the observer first to catch dynamically loaded containers
     setupDOMObserver();
 
@@ -499,44 +425,4 @@
   } else {
     initialize();
   }
-
-  // Handle messages from popup for cache management
-  chrome.runtime.onMessage.addListener((req, _sender, sendResponse) => {
-    if (req?.type === "GET_CACHE_STATS") {
-      try {
-        const keys = Object.keys(localStorage).filter((key) =>
-          key.startsWith(CACHE_KEY_PREFIX)
-        );
-
-        const totalSize = keys.reduce((size, key) => {
-          const item = localStorage.getItem(key);
-          return size + (item ? item.length : 0);
-        }, 0);
-
-        const stats = {
-          totalCached: keys.length,
-          totalSize: totalSize,
-          cacheKeys: keys,
-        };
-
-        sendResponse({ stats });
-      } catch (error) {
-        logE("Error getting cache stats:", error);
-        sendResponse({ error: error.message });
-      }
-      return true; // Keep message channel open for async response
-    }
-
-    if (req?.type === "CLEAR_CACHE") {
-      try {
-        const clearedCount = clearScoutCache();
-        log(`Cleared ${clearedCount} cached scout reports via popup`);
-        sendResponse({ clearedCount });
-      } catch (error) {
-        logE("Error clearing cache:", error);
-        sendResponse({ error: error.message });
-      }
-      return true; // Keep message channel open for async response
-    }
-  });
 })();
@@ -0,0 +1,274 @@
+// Skill history: records the skill levels of the user's own players on
+// every squad visit (see background/skill-history.js), shows what changed
+// with the last training update next to the skills and a per-player chart
+// in the card header.
+(() => {
+  const {
+    createLogger,
+    isOwnSquadPage,
+    getSport,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    sendToBackground,
+    getPlayerIdFromContainer,
+    hasPlayerSkillsTable,
+    getSkillRows,
+    getSkillLevels,
+    getPotentialById,
+    processedPlayers,
+    onPlayerProcessed,
+    onCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log, logE } = createLogger("content/skill-history");
+
+  const CHART_WIDTH = 320;
+  const CHART_HEIGHT = 120;
+  const CHART_PADDING = 6;
+  const COLORS = { high: "#2b8a3e", low: "#c92a2a", none: "#adb5bd" };
+
+  const historyByPid = new Map(); // pid -> snapshots, oldest first
+  const openCharts = new Set(); // pids whose chart is shown
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("skillHistory");
+
+  const formatDate = (ms) => new Date(ms).toLocaleDateString();
+
+  // "+1 ball", "-2 balls". Only whole balls: the squad page shows no
+  // training points behind them (".skillval" is the ball count again),
+  // so there are no "+3 pts" to record
+  function deltaText(previous, current, id) {
+    const balls = (current.levels[id] ?? 0) - (previous.levels[id] ?? 0);
+    if (!balls) return "";
+    const unit = Math.abs(balls) === 1 ? "ball" : "balls";
+    return `${balls > 0 ? "+" : ""}${balls} ${unit}`;
+  }
+
+  function renderDeltas(container, history) {
+    container.querySelectorAll(".mz-skill-delta").forEach((el) => el.remove());
+    if (history.length < 2) return;
+
+    const previous = history[history.length - 2];
+    const current = history[history.length - 1];
+    for (const { tr, id } of getSkillRows(container)) {
+      const text = id && deltaText(previous, current, id);
+      if (!text) continue;
+
+      const delta = document.createElement("span");
+      delta.className = `mz-skill-delta ${
+        text.startsWith("+") ? "is-up" : "is-down"
+      }`;
+      delta.textContent = text;
+      delta.title = `Since ${formatDate(previous.at)}`;
+
+      const value = tr.querySelector(".skillval");
+      if (value) value.after(delta);
+      else tr.lastElementChild?.appendChild(delta);
+    }
+  }
+
+  // ---- Chart ----
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function svgElement(tag, attributes) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      el.setAttribute(name, value);
+    }
+    return el;
+  }
+
+  // One line per skill over time, colored like the scout flags
+  function buildChart(container, history) {
+    const pid = getPlayerIdFromContainer(container);
+    const skillRows = getSkillRows(container);
+    const names = new Map(skillRows.map(({ id, name }) => [id, name]));
+    const scoutData = processedPlayers.get(pid);
+    const potentials = scoutData
+      ? getPotentialById(scoutData, skillRows)
+      : new Map();
+
+    const ids = [...names.keys()].filter(
+      (id) => id && history.some((s) => s.levels[id] != null)
+    );
+    const maxLevel = Math.max(
+      10,
+      ...history.flatMap((s) => ids.map((id) => s.levels[id] ?? 0))
+    );
+    const first = history[0].at;
+    const span = history[history.length - 1].at - first || 1;
+    const x = (at) =>
+      CHART_PADDING + ((at - first) / span) * (CHART_WIDTH - 2 * CHART_PADDING);
+    const y = (level) =>
+      CHART_HEIGHT -
+      CHART_PADDING -
+      (level / maxLevel) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+    const svg = svgElement("svg", {
+      width: CHART_WIDTH,
+      height: CHART_HEIGHT,
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      role: "img",
+      "aria-label": "Skill levels over time",
+    });
+    const legend = document.createElement("ul");
+    legend.className = "mz-history-legend";
+
+    // Scouted skills drawn last so they sit on top
+    const order = (id) => (potentials.has(id) ? 1 : 0);
+    for (const id of [...ids].sort((a, b) => order(a) - order(b))) {
+      const color = COLORS[potentials.get(id)?.kind || "none"];
+      const points = history
+        .filter((s) => s.levels[id] != null)
+        .map((s) => `${x(s.at)},${y(s.levels[id])}`);
+      const line = svgElement("polyline", {
+        points: points.join(" "),
+        fill: "none",
+        stroke: color,
+        "stroke-width": potentials.has(id) ? 2 : 1,
+      });
+      line.appendChild(svgElement("title", {})).textContent = names.get(id);
+      svg.appendChild(line);
+    }
+
+    for (const id of ids) {
+      const levels = history.map((s) => s.levels[id]).filter((l) => l != null);
+      const change = levels[levels.length - 1] - levels[0];
+      const item = document.createElement("li");
+      item.style.color = COLORS[potentials.get(id)?.kind || "none"];
+      item.textContent = `${names.get(id)} ${levels[levels.length - 1]}${
+        change ? ` (${change > 0 ? "+" : ""}${change})` : ""
+      }`;
+      legend.appendChild(item);
+    }
+
+    const caption = document.createElement("div");
+    caption.textContent =
+      history.length < 2
+        ? `One snapshot so far (${formatDate(first)})`
+        : `${history.length} snapshots, ${formatDate(first)} – ${formatDate(
+            history[history.length - 1].at
+          )}`;
+
+    const chart = document.createElement("div");
+    chart.className = "mz-history mz-history-chart";
+    chart.append(caption, svg, legend);
+    return chart;
+  }
+
+  function renderHistory(container) {
+    const pid = getPlayerIdFromContainer(container);
+    const history = pid && historyByPid.get(pid);
+    const header = container.querySelector("h2.subheader") || container;
+
+    container.querySelectorAll(".mz-history").forEach((el) => el.remove());
+    if (!history || !isEnabled()) {
+      container
+        .querySelectorAll(".mz-skill-delta")
+        .forEach((el) => el.remove());
+      return;
+    }
+
+    renderDeltas(container, history);
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "mz-history mz-history-toggle";
+    toggle.textContent = "📈";
+    toggle.title = "Skill history";
+    toggle.setAttribute("aria-expanded", openCharts.has(pid));
+    toggle.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (openCharts.has(pid)) openCharts.delete(pid);
+      else openCharts.add(pid);
+      renderHistory(container);
+    });
+    header.insertBefore(toggle, header.querySelector(".mz-scout-status"));
+
+    if (openCharts.has(pid)) {
+      const chart = buildChart(container, history);
+      if (header === container) container.prepend(chart);
+      else header.after(chart);
+    }
+  }
+
+  // ---- Recording ----
+  async function recordContainer(container) {
+    const pid = getPlayerIdFromContainer(container);
+    if (!pid || !hasPlayerSkillsTable(container)) return;
+
+    const levels = getSkillLevels(container);
+    if (!levels.size) return;
+
+    try {
+      const { history } = await sendToBackground({
+        type: "HISTORY_RECORD",
+        pid,
+        sport: getSport(),
+        snapshot: { levels: Object.fromEntries(levels) },
+      });
+      historyByPid.set(pid, history);
+      renderHistory(container);
+    } catch (error) {
+      logE(`Could not record skill history for ${pid}:`, error);
+    }
+  }
+
+  const recordedContainers = new WeakSet();
+
+  function processNewContainers() {
+    if (!isEnabled()) return;
+    for (const container of getPlayerContainers()) {
+      if (recordedContainers.has(container)) continue;
+      recordedContainers.add(container);
+      recordContainer(container);
+    }
+  }
+
+  function renderAll() {
+    getPlayerContainers().forEach(renderHistory);
+  }
+
+  function handleCardsChanged({ added }) {
+    if (added.length) processNewContainers();
+  }
+
+  function handleSettingsChange() {
+    processNewContainers();
+    renderAll();
+  }
+
+  // Chart colors follow the scout report once it arrives
+  function handlePlayerProcessed(pid) {
+    if (!openCharts.has(pid)) return;
+    for (const container of getPlayerContainers()) {
+      if (getPlayerIdFromContainer(container) === pid) {
+        renderHistory(container);
+      }
+    }
+  }
+
+  async function initialize() {
+    // Other teams' players would only fill the storage; their levels are
+    // for their own managers to track
+    if (!isOwnSquadPage()) return;
+
+    await whenSettingsReady();
+    log("Initializing skill history");
+
+    onSettingsChange(handleSettingsChange);
+    onPlayerProcessed(handlePlayerProcessed);
+    onCardsChanged(handleCardsChanged);
+    processNewContainers();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
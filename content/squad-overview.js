@@ -0,0 +1,408 @@
+// Players page: collapsible squad-wide potential overview table
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromContainer,
+    getPlayerNameFromContainer,
+    getSkillRows,
+    getSkillLevels,
+    getPlayerAge,
+    getPotentialById,
+    processedPlayers,
+    onPlayerProcessed,
+    getScoutState,
+    requestAllScouts,
+    onCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log, logE } = createLogger("content/squad-overview");
+
+  const PANEL_ID = "mz-squad-overview";
+  const REBUILD_DELAY_MS = 200;
+
+  // Table state survives rebuilds
+  const state = {
+    open: true,
+    sortKey: "name",
+    sortDir: 1,
+    filterSkill: "",
+    filterKind: "high",
+    loadAll: false, // every report asked for, not only the scrolled-near
+  };
+
+  // Skill ids for this sport with the names the page uses for them
+  function getSkillColumns(containers) {
+    const { skills } = MZSports.getSportConfig(getSport());
+    const names = new Map();
+    for (const container of containers) {
+      for (const { id, name } of getSkillRows(container)) {
+        if (id && !names.has(id)) names.set(id, name);
+      }
+      if (names.size) break;
+    }
+    return skills.map((id) => ({ id, name: names.get(id) || id }));
+  }
+
+  function collectRows(containers) {
+    const rows = [];
+    const seen = new Set();
+    for (const container of containers) {
+      const pid = getPlayerIdFromContainer(container);
+      if (!pid || seen.has(pid)) continue;
+      seen.add(pid);
+
+      const scoutData = processedPlayers.get(pid) || null;
+      rows.push({
+        pid,
+        container,
+        scoutState: getScoutState(pid),
+        name: getPlayerNameFromContainer(container) || pid,
+        age: getPlayerAge(container),
+        levels: getSkillLevels(container),
+        potentials: scoutData
+          ? getPotentialById(scoutData, getSkillRows(container))
+          : new Map(),
+        starsHigh: scoutData?.starsHigh ?? null,
+        starsLow: scoutData?.starsLow ?? null,
+      });
+    }
+    return rows;
+  }
+
+  function matchesFilter(row) {
+    if (!state.filterSkill) return true;
+    const potential = row.potentials.get(state.filterSkill);
+    if (state.filterKind === "any") return !!potential;
+    return potential?.kind === state.filterKind;
+  }
+
+  // Sorting or filtering on anything but name and age needs every report
+  const usesScoutData = () =>
+    !!state.filterSkill || !["name", "age"].includes(state.sortKey);
+
+  // Sort value for a column; skills sort high potential first, then level.
+  // Stars: scouted players first, then the ones still loading, then the
+  // ones without a report.
+  function sortValue(row, key) {
+    if (key === "name") return row.name.toLowerCase();
+    if (key === "age") return row.age ?? Infinity;
+    if (key === "starsHigh" || key === "starsLow") {
+      if (row.scoutState === "scouted") return -(row[key] ?? 0);
+      return row.scoutState === "pending" ? 1 : 2;
+    }
+    const potential = row.potentials.get(key);
+    const rank = potential?.kind === "high" ? 0 : potential ? 2 : 1;
+    return rank * 100 - (row.levels.get(key) ?? 0);
+  }
+
+  function sortRows(rows) {
+    return [...rows].sort((a, b) => {
+      const va = sortValue(a, state.sortKey);
+      const vb = sortValue(b, state.sortKey);
+      if (va < vb) return -state.sortDir;
+      if (va > vb) return state.sortDir;
+      return 0;
+    });
+  }
+
+  function skillCellText(row, id) {
+    const level = row.levels.get(id);
+    const potential = row.potentials.get(id);
+    const mark = !potential ? "" : potential.kind === "high" ? "▲" : "▼";
+    return `${level ?? ""}${mark}`;
+  }
+
+  function toClipboardText(columns, rows) {
+    const header = [
+      "Player",
+      "Age",
+      "High ★",
+      "Low ★",
+      ...columns.map((c) => c.name),
+    ];
+    const lines = rows.map((row) => [
+      row.name,
+      row.age ?? "",
+      row.starsHigh ?? "",
+      row.starsLow ?? "",
+      ...columns.map((c) => skillCellText(row, c.id)),
+    ]);
+    return [header, ...lines].map((line) => line.join("\t")).join("\n");
+  }
+
+  // ---- Rendering ----
+  function buildHeaderCell(label, key, title) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    th.title = title || `Sort by ${label}`;
+    th.dataset.sortKey = key;
+    th.addEventListener("click", () => {
+      state.sortDir = state.sortKey === key ? -state.sortDir : 1;
+      state.sortKey = key;
+      render();
+    });
+    return th;
+  }
+
+  function buildSkillCell(row, id) {
+    const td = document.createElement("td");
+    const potential = row.potentials.get(id);
+    td.textContent = skillCellText(row, id);
+    if (potential) {
+      td.className = `mz-overview-${potential.kind}`;
+      const label = potential.kind === "high" ? "Highest" : "Lowest";
+      td.title = `${label} potential, ${potential.stars ?? "?"}★`;
+    }
+    return td;
+  }
+
+  const NO_STARS = {
+    pending: ["…", "Scout report not loaded yet"],
+    none: ["–", "No scout report"],
+  };
+
+  function buildStarsCell(row, stars) {
+    const td = document.createElement("td");
+    if (row.scoutState === "scouted") {
+      td.textContent = stars ?? "";
+    } else {
+      [td.textContent, td.title] = NO_STARS[row.scoutState];
+    }
+    return td;
+  }
+
+  function buildHeaderRow(columns) {
+    const headRow = document.createElement("tr");
+    headRow.append(
+      buildHeaderCell("Player", "name"),
+      buildHeaderCell("Age", "age"),
+      buildHeaderCell("▲★", "starsHigh", "Highest potential stars"),
+      buildHeaderCell("▼★", "starsLow", "Lowest potential stars"),
+      ...columns.map((c) => buildHeaderCell(c.name, c.id))
+    );
+    return headRow;
+  }
+
+  function buildBodyRow(columns, row) {
+    const tr = document.createElement("tr");
+
+    const nameCell = tr.insertCell();
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = row.name;
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      row.container.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
+    nameCell.appendChild(link);
+
+    tr.insertCell().textContent = row.age ?? "";
+    tr.appendChild(buildStarsCell(row, row.starsHigh));
+    tr.appendChild(buildStarsCell(row, row.starsLow));
+    for (const c of columns) tr.appendChild(buildSkillCell(row, c.id));
+    return tr;
+  }
+
+  // ---- Panel ----
+  // Built once, so an open <select> survives the renders that follow
+  // every report coming in; those only update the parts below
+  let view = null;
+
+  function buildView(containers) {
+    const panel = document.createElement("details");
+    panel.id = PANEL_ID;
+    panel.className = "mz-overview";
+    panel.open = state.open;
+    panel.addEventListener("toggle", () => {
+      state.open = panel.open;
+    });
+
+    const summary = document.createElement("summary");
+
+    const controls = document.createElement("div");
+    controls.className = "mz-overview-controls";
+
+    const kindSelect = document.createElement("select");
+    for (const [value, text] of [
+      ["high", "High potential in"],
+      ["low", "Low potential in"],
+      ["any", "Scouted in"],
+    ]) {
+      kindSelect.add(new Option(text, value));
+    }
+    kindSelect.addEventListener("change", () => {
+      state.filterKind = kindSelect.value;
+      render();
+    });
+
+    const skillSelect = document.createElement("select");
+    skillSelect.addEventListener("change", () => {
+      state.filterSkill = skillSelect.value;
+      render();
+    });
+
+    const copyButton = document.createElement("button");
+    copyButton.type = "button";
+    copyButton.textContent = "Copy table";
+    copyButton.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(
+          toClipboardText(view.columns, view.visibleRows)
+        );
+        copyButton.textContent = "Copied!";
+      } catch (error) {
+        logE("Clipboard write failed:", error);
+        copyButton.textContent = "Copy failed";
+      }
+      setTimeout(() => (copyButton.textContent = "Copy table"), 1500);
+    });
+
+    // Reports load as cards scroll near; this gets the rest right away
+    const loadButton = document.createElement("button");
+    loadButton.type = "button";
+    loadButton.addEventListener("click", () => {
+      state.loadAll = true;
+      render();
+    });
+
+    controls.append(
+      "Show ",
+      kindSelect,
+      " ",
+      skillSelect,
+      " ",
+      copyButton,
+      " ",
+      loadButton
+    );
+
+    const table = document.createElement("table");
+    table.className = "mz-overview-table";
+    const head = table.createTHead();
+    const body = table.createTBody();
+
+    panel.append(summary, controls, table);
+
+    // Above the first player card
+    const anchor = containers[0];
+    anchor.parentElement.insertBefore(panel, anchor);
+
+    return {
+      panel,
+      summary,
+      kindSelect,
+      skillSelect,
+      loadButton,
+      head,
+      body,
+      columns: null,
+      visibleRows: [],
+    };
+  }
+
+  // The skill options and header follow the columns, which only change
+  // once the skill names are known
+  function updateColumns(columns) {
+    const key = (list) => list?.map((c) => `${c.id}:${c.name}`).join();
+    if (key(columns) === key(view.columns)) return;
+    view.columns = columns;
+
+    view.skillSelect.replaceChildren(
+      new Option("any skill (no filter)", ""),
+      ...columns.map((c) => new Option(c.name, c.id))
+    );
+    view.head.replaceChildren(buildHeaderRow(columns));
+  }
+
+  function updateControls(pending) {
+    const { kindSelect, skillSelect, loadButton, head } = view;
+    kindSelect.value = state.filterKind;
+    skillSelect.value = state.filterSkill;
+    loadButton.hidden = !pending || state.loadAll;
+    loadButton.textContent = `Load ${pending} more reports`;
+
+    for (const th of head.querySelectorAll("th")) {
+      const sorted = th.dataset.sortKey === state.sortKey;
+      th.classList.toggle("is-sorted-asc", sorted && state.sortDir === 1);
+      th.classList.toggle("is-sorted-desc", sorted && state.sortDir === -1);
+    }
+  }
+
+  function removePanel() {
+    document.getElementById(PANEL_ID)?.remove();
+    view = null;
+  }
+
+  function render() {
+    if (!isPageEnabled() || !isFeatureEnabled("overview")) {
+      removePanel();
+      return;
+    }
+
+    const containers = getPlayerContainers();
+    if (!containers.length) {
+      removePanel();
+      return;
+    }
+
+    if (usesScoutData()) state.loadAll = true;
+    if (state.loadAll) requestAllScouts();
+
+    const columns = getSkillColumns(containers);
+    const rows = collectRows(containers);
+    const visibleRows = sortRows(rows.filter(matchesFilter));
+    const count = (scoutState) =>
+      rows.filter((row) => row.scoutState === scoutState).length;
+    const scouted = count("scouted");
+    const pending = count("pending");
+
+    // The site's re-render may have taken the panel with it
+    if (!view?.panel.isConnected) view = buildView(containers);
+    updateColumns(columns);
+    updateControls(pending);
+    view.visibleRows = visibleRows;
+
+    view.summary.textContent =
+      `Squad potential overview (${scouted}/${rows.length} scouted` +
+      (pending ? `, ${pending} not loaded yet)` : ")");
+    view.body.replaceChildren(
+      ...visibleRows.map((row) => buildBodyRow(columns, row))
+    );
+  }
+
+  // Scout data arrives one player at a time; rebuild once it settles
+  let rebuildTimer = null;
+  function scheduleRender() {
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(render, REBUILD_DELAY_MS);
+  }
+
+  function handleCardsChanged({ added, removed }) {
+    if (added.length || removed.length) scheduleRender();
+  }
+
+  async function initialize() {
+    if (getPageType() !== "players") return;
+
+    await whenSettingsReady();
+    log("Initializing squad overview");
+
+    onPlayerProcessed(scheduleRender);
+    onSettingsChange(scheduleRender);
+    onCardsChanged(handleCardsChanged);
+    scheduleRender();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
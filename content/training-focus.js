@@ -0,0 +1,224 @@
+// Training focus: the best skills to train for each scouted player (see
+// shared/training.js), in the card header and, on the players page, in a
+// squad-wide training plan.
+(() => {
+  const {
+    createLogger,
+    getPageType,
+    getSport,
+    getSettings,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    isFeatureEnabled,
+    getPlayerIdFromContainer,
+    getPlayerNameFromContainer,
+    getSkillRows,
+    getSkillLevels,
+    getPlayerAge,
+    getPotentialById,
+    processedPlayers,
+    onPlayerProcessed,
+    onCardsChanged,
+    getPlayerContainers,
+  } = MZCommon;
+
+  const { log } = createLogger("content/training-focus");
+
+  const HEADER_SUGGESTIONS = 2;
+  const PLAN_SUGGESTIONS = 3;
+  const PLAN_ID = "mz-training-plan";
+  const RENDER_DELAY_MS = 200;
+
+  const isEnabled = () => isPageEnabled() && isFeatureEnabled("trainingFocus");
+
+  let planOpen = false;
+
+  function recommend(container) {
+    const pid = getPlayerIdFromContainer(container);
+    const scoutData = pid && processedPlayers.get(pid);
+    if (!scoutData) return null;
+
+    const skillRows = getSkillRows(container);
+    const levels = getSkillLevels(container);
+    if (!levels.size) return null;
+
+    return {
+      pid,
+      names: new Map(skillRows.map(({ id, name }) => [id, name])),
+      ranked: MZTraining.rankSkills({
+        sport: getSport(),
+        levels,
+        potentials: getPotentialById(scoutData, skillRows),
+        weights: getSettings().trainingWeights,
+      }),
+    };
+  }
+
+  function suggestionTitle(names, suggestion) {
+    return `${names.get(suggestion.id) || suggestion.id} (${
+      suggestion.level
+    }): ${MZTraining.describeReasons(suggestion.reasons)}`;
+  }
+
+  // ---- Card header ----
+  function renderFocus(container, recommendation) {
+    const header = container.querySelector("h2.subheader") || container;
+    let focus = header.querySelector(".mz-training-focus");
+    if (!recommendation || !recommendation.ranked.length || !isEnabled()) {
+      focus?.remove();
+      return;
+    }
+    if (!focus) {
+      focus = document.createElement("span");
+      focus.className = "mz-training-focus";
+      header.insertBefore(focus, header.querySelector(".mz-scout-status"));
+    }
+
+    const { names, ranked } = recommendation;
+    const top = ranked.slice(0, HEADER_SUGGESTIONS);
+    focus.textContent = `Train: ${top
+      .map((s) => names.get(s.id) || s.id)
+      .join(" · ")}`;
+    focus.title = top.map((s) => suggestionTitle(names, s)).join("\n");
+  }
+
+  // ---- Squad plan (players page) ----
+  function buildPlanTable(rows) {
+    const table = document.createElement("table");
+    table.className = "mz-overview-table";
+
+    const headRow = document.createElement("tr");
+    for (const label of ["Player", "Age", "1st", "2nd", "3rd"]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headRow.appendChild(th);
+    }
+    table.createTHead().appendChild(headRow);
+
+    const body = table.createTBody();
+    for (const { container, name, age, names, ranked } of rows) {
+      const tr = body.insertRow();
+
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = name;
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        container.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+      tr.insertCell().appendChild(link);
+      tr.insertCell().textContent = age ?? "";
+
+      for (let i = 0; i < PLAN_SUGGESTIONS; i++) {
+        const td = tr.insertCell();
+        const suggestion = ranked[i];
+        if (!suggestion) continue;
+        td.textContent = names.get(suggestion.id) || suggestion.id;
+        td.title = suggestionTitle(names, suggestion);
+        if (suggestion.potential?.kind === "high") {
+          td.className = "mz-overview-high";
+        }
+      }
+    }
+    return table;
+  }
+
+  // "Ball control ×4 · Passing ×2": how many players have each skill as
+  // their first suggestion
+  function summarizeFocus(rows) {
+    const counts = new Map();
+    for (const { names, ranked } of rows) {
+      const name = names.get(ranked[0].id) || ranked[0].id;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => `${name} ×${count}`)
+      .join(" · ");
+  }
+
+  function renderPlan(containers, recommendations) {
+    let panel = document.getElementById(PLAN_ID);
+    if (getPageType() !== "players" || !isEnabled() || !containers.length) {
+      panel?.remove();
+      return;
+    }
+
+    const seen = new Set();
+    const rows = [];
+    containers.forEach((container, i) => {
+      const recommendation = recommendations[i];
+      if (!recommendation?.ranked.length) return;
+      if (seen.has(recommendation.pid)) return;
+      seen.add(recommendation.pid);
+      rows.push({
+        ...recommendation,
+        container,
+        name: getPlayerNameFromContainer(container) || recommendation.pid,
+        age: getPlayerAge(container),
+      });
+    });
+
+    if (!panel) {
+      panel = document.createElement("details");
+      panel.id = PLAN_ID;
+      panel.className = "mz-overview";
+      panel.open = planOpen;
+      panel.addEventListener("toggle", () => {
+        planOpen = panel.open;
+      });
+      containers[0].parentElement.insertBefore(panel, containers[0]);
+    }
+
+    const summary = document.createElement("summary");
+    summary.textContent = `Training plan (${rows.length} scouted players)`;
+    const focus = document.createElement("div");
+    focus.className = "mz-overview-controls";
+    focus.textContent = rows.length
+      ? `First choice: ${summarizeFocus(rows)}`
+      : "No scouted players yet.";
+
+    panel.replaceChildren(summary, focus, buildPlanTable(rows));
+  }
+
+  function render() {
+    const containers = getPlayerContainers();
+    const recommendations = containers.map((container) =>
+      isEnabled() ? recommend(container) : null
+    );
+    containers.forEach((container, i) =>
+      renderFocus(container, recommendations[i])
+    );
+    renderPlan(containers, recommendations);
+  }
+
+  let renderTimer = null;
+  function scheduleRender() {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, RENDER_DELAY_MS);
+  }
+
+  function handleCardsChanged({ added }) {
+    if (added.length) scheduleRender();
+  }
+
+  async function initialize() {
+    // The transfer market has its own module (content/transfer-market.js)
+    if (getPageType() === "transfer") return;
+
+    await whenSettingsReady();
+    log("Initializing training focus");
+
+    onPlayerProcessed(scheduleRender);
+    onSettingsChange(scheduleRender);
+    onCardsChanged(handleCardsChanged);
+    scheduleRender();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,154 @@
+// Transfer market: potential flags and a star summary on search results
+(() => {
+  const {
+    PRIORITY,
+    createLogger,
+    getPageType,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    getPlayerNameFromContainer,
+    getPlayerIdFromCard,
+    isInViewport,
+    fetchScout,
+    applyFlagsToContainer,
+    renderStatus,
+    renderScoutError,
+    renderRefreshControl,
+    renderStarSummary,
+    clearEnhancements,
+    hasPlayerSkillsTable,
+    processedPlayers,
+    storeProcessedPlayer,
+  } = MZCommon;
+
+  const { log } = createLogger("content/transfer-market");
+
+  // Search results are rendered into #players_container; paging and new
+  // searches replace its contents wholesale.
+  const RESULTS_SELECTOR = "#players_container";
+  const RESULT_ROW_SELECTOR = `${RESULTS_SELECTOR} .playerContainer`;
+
+  const getResultRows = () =>
+    Array.from(document.querySelectorAll(RESULT_ROW_SELECTOR));
+
+  // Scout data goes to processedPlayers, shared with the comparison
+  // module; it survives result swaps, so re-searching doesn't cost a
+  // request
+  const processedRows = new WeakSet();
+
+  function renderScout(row, scoutData) {
+    if (!isPageEnabled()) {
+      clearEnhancements(row);
+      return;
+    }
+
+    const { highest, lowest } = scoutData;
+    if (!highest?.length && !lowest?.length) {
+      renderStatus(row, "No scout info", "is-error");
+      return;
+    }
+
+    renderStarSummary(row, scoutData);
+    if (hasPlayerSkillsTable(row)) {
+      applyFlagsToContainer(row, scoutData);
+      renderStatus(row, "Scout flags added", "is-done");
+    } else {
+      // Compact results: the star summary is all there is room for
+      renderStatus(row, "", "is-done");
+    }
+  }
+
+  function addRefreshControl(row) {
+    renderRefreshControl(row, (priority) =>
+      processRow(row, { force: true, priority })
+    );
+  }
+
+  // `force` refetches the report instead of using what we already have
+  async function processRow(row, { force = false, priority } = {}) {
+    const pid = getPlayerIdFromCard(row);
+    if (!pid) return;
+
+    const known = !force && processedPlayers.get(pid);
+    if (known) {
+      renderScout(row, known);
+      addRefreshControl(row);
+      return;
+    }
+
+    renderStatus(
+      row,
+      force ? "Refreshing scout…" : "Fetching scout…",
+      "is-loading"
+    );
+    addRefreshControl(row);
+    try {
+      priority ??= isInViewport(row) ? PRIORITY.VISIBLE : PRIORITY.NORMAL;
+      const scoutData = await fetchScout(
+        pid,
+        priority,
+        getPlayerNameFromContainer(row),
+        { force }
+      );
+      storeProcessedPlayer(pid, scoutData);
+
+      // The row may have been replaced by paging while we waited
+      if (row.isConnected) renderScout(row, scoutData);
+    } catch (e) {
+      renderScoutError(row, e);
+    }
+  }
+
+  function processNewRows() {
+    if (!isPageEnabled()) return;
+    const rows = getResultRows().filter((row) => !processedRows.has(row));
+    if (!rows.length) return;
+
+    log(`Found ${rows.length} new transfer results`);
+    rows.forEach((row) => {
+      processedRows.add(row);
+      processRow(row);
+    });
+  }
+
+  function setupResultsObserver() {
+    let scheduled = null;
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+      // Results arrive in bursts; handle them once the DOM settles
+      scheduled = setTimeout(() => {
+        scheduled = null;
+        processNewRows();
+      }, 100);
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // Re-render the current results with the new settings
+  function handleSettingsChange() {
+    for (const row of getResultRows()) {
+      const scoutData = processedPlayers.get(getPlayerIdFromCard(row));
+      if (scoutData) renderScout(row, scoutData);
+      else if (!isPageEnabled()) clearEnhancements(row);
+    }
+    processNewRows();
+  }
+
+  async function initialize() {
+    if (getPageType() !== "transfer") return;
+
+    log("Initializing transfer market enhancement");
+    await whenSettingsReady();
+    onSettingsChange(handleSettingsChange);
+    setupResultsObserver();
+    processNewRows();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,182 @@
+// Youth academy and youth exchange: potential flags and a star summary on
+// prospects and exchange offers, where the scout report decides whether
+// to sign someone. Prospects the site hasn't given a player id yet have
+// no report to fetch and say so.
+(() => {
+  const {
+    PRIORITY,
+    createLogger,
+    getPageType,
+    whenSettingsReady,
+    onSettingsChange,
+    isPageEnabled,
+    getPlayerNameFromContainer,
+    getPlayerIdFromCard,
+    isInViewport,
+    fetchScout,
+    applyFlagsToContainer,
+    renderStatus,
+    renderScoutError,
+    renderRefreshControl,
+    renderStarSummary,
+    clearEnhancements,
+    hasPlayerSkillsTable,
+    processedPlayers,
+    storeProcessedPlayer,
+  } = MZCommon;
+
+  const { log } = createLogger("content/youth-players");
+
+  // Where each view lists its players. Academy prospects and exchange
+  // offers use the regular player card where they show skills, and their
+  // own boxes otherwise.
+  const VIEWS = {
+    youthAcademy: {
+      label: "youth academy prospects",
+      cardSelector:
+        "#youth_academy .playerContainer, .youth_academy_player, " +
+        "[id^='youth_player_']",
+    },
+    youthExchange: {
+      label: "youth exchange offers",
+      cardSelector:
+        "#youth_exchange .playerContainer, .youth_exchange_player, " +
+        "[id^='exchange_player_']",
+    },
+  };
+
+  const view = VIEWS[getPageType()];
+
+  // Nested matches (a card inside a box) count once, as the outer box
+  const getCards = () =>
+    Array.from(document.querySelectorAll(view.cardSelector)).filter(
+      (card) => !card.parentElement?.closest(view.cardSelector)
+    );
+
+  // Boxes without a card header carry the pid as a data attribute on
+  // some views
+  function getProspectId(card) {
+    const pid = card.dataset.pid || card.dataset.playerId;
+    if (pid && /^\d+$/.test(pid)) return pid;
+    return getPlayerIdFromCard(card);
+  }
+
+  // Scout data goes to processedPlayers, shared with the comparison and
+  // position fit modules; it survives list refreshes, so they don't cost
+  // a request
+  const processedCards = new WeakSet();
+
+  function renderScout(card, scoutData) {
+    if (!isPageEnabled()) {
+      clearEnhancements(card);
+      return;
+    }
+
+    renderStarSummary(card, scoutData);
+    if (hasPlayerSkillsTable(card)) {
+      applyFlagsToContainer(card, scoutData);
+      renderStatus(card, "Scout flags added", "is-done");
+    } else {
+      renderStatus(card, "", "is-done");
+    }
+  }
+
+  function renderNoPid(card) {
+    const status = renderStatus(card, "No report available", "is-pending");
+    status.title =
+      "This prospect has no player id yet, so there is no scout report " +
+      "to read. It gets one once signed.";
+  }
+
+  // `force` refetches the report instead of using what we already have
+  async function processCard(card, { force = false, priority } = {}) {
+    const pid = getProspectId(card);
+    if (!pid) {
+      renderNoPid(card);
+      return;
+    }
+
+    renderRefreshControl(card, (refreshPriority) =>
+      processCard(card, { force: true, priority: refreshPriority })
+    );
+
+    const known = !force && processedPlayers.get(pid);
+    if (known) {
+      renderScout(card, known);
+      return;
+    }
+
+    renderStatus(
+      card,
+      force ? "Refreshing scout…" : "Fetching scout…",
+      "is-loading"
+    );
+    try {
+      priority ??= isInViewport(card) ? PRIORITY.VISIBLE : PRIORITY.NORMAL;
+      const scoutData = await fetchScout(
+        pid,
+        priority,
+        getPlayerNameFromContainer(card),
+        { force }
+      );
+      storeProcessedPlayer(pid, scoutData);
+      if (card.isConnected) renderScout(card, scoutData);
+    } catch (e) {
+      // NO_REPORT reads "No scout report", same as an unscouted senior
+      renderScoutError(card, e);
+    }
+  }
+
+  function processNewCards() {
+    if (!isPageEnabled()) return;
+    const cards = getCards().filter((card) => !processedCards.has(card));
+    if (!cards.length) return;
+
+    log(`Found ${cards.length} new ${view.label}`);
+    cards.forEach((card) => {
+      processedCards.add(card);
+      processCard(card);
+    });
+  }
+
+  function setupObserver() {
+    let scheduled = null;
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+      // Lists are re-rendered in bursts; handle them once the DOM settles
+      scheduled = setTimeout(() => {
+        scheduled = null;
+        processNewCards();
+      }, 100);
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  function handleSettingsChange() {
+    for (const card of getCards()) {
+      const pid = getProspectId(card);
+      const scoutData = pid && processedPlayers.get(pid);
+      if (!isPageEnabled()) clearEnhancements(card);
+      else if (scoutData) renderScout(card, scoutData);
+      else if (!pid) renderNoPid(card);
+    }
+    processNewCards();
+  }
+
+  async function initialize() {
+    if (!view) return;
+
+    log(`Initializing ${view.label} enhancement`);
+    await whenSettingsReady();
+    onSettingsChange(handleSettingsChange);
+    setupObserver();
+    processNewCards();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initialize, { once: true });
+  } else {
+    initialize();
+  }
+})();
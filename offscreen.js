@@ -0,0 +1,33 @@
+// Offscreen document: gives the service worker access to DOMParser
+chrome.runtime.onMessage.addListener((req, _sender, sendResponse) => {
+  if (req?.target !== "offscreen") return;
+
+  if (req.type === "PARSE_SCOUT_HTML") {
+    try {
+      const scoutData = MZParser.parseScoutHTML(req.html, req.lang);
+      sendResponse({ scoutData });
+    } catch (error) {
+      console.error(
+        "[MZ Tools][offscreen]",
+        "Error parsing scout HTML:",
+        error
+      );
+      sendResponse(MZErrors.toResponse(error));
+    }
+  } else if (req.type === "PARSE_SQUAD_HTML") {
+    try {
+      sendResponse({ squad: MZParser.parseSquadHTML(req.html) });
+    } catch (error) {
+      console.error(
+        "[MZ Tools][offscreen]",
+        "Error parsing squad HTML:",
+        error
+      );
+      sendResponse(MZErrors.toResponse(error));
+    }
+  } else if (req.type === "DIAGNOSE_SCOUT_HTML") {
+    sendResponse({
+      diagnosis: MZParser.diagnoseScoutHTML(req.html, req.lang),
+    });
+  }
+});
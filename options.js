@@ -0,0 +1,293 @@
+const STAR_LEVELS = [1, 2, 3, 4];
+const FLAG_COLORS = [
+  ["", "No flag"],
+  ["yellow", "Yellow"],
+  ["red", "Red"],
+  ["green", "Green"],
+];
+
+// Position profiles cover the soccer skills that training moves
+const PROFILE_SKILLS = (() => {
+  const { skills, untrainable } = MZSports.getSportConfig("soccer");
+  return skills.filter((id) => !untrainable.includes(id));
+})();
+
+// Utility functions
+function showStatus(message, type = "success") {
+  const statusEl = document.getElementById("status-message");
+  statusEl.textContent = message;
+  statusEl.className = `status-message status-${type}`;
+  statusEl.style.display = "block";
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    statusEl.style.display = "none";
+  }, 3000);
+}
+
+function buildFlagRuleRows() {
+  const tbody = document.getElementById("flag-rules");
+  tbody.replaceChildren(
+    ...STAR_LEVELS.map((stars) => {
+      const tr = document.createElement("tr");
+
+      const label = document.createElement("td");
+      label.textContent = "★".repeat(stars);
+
+      const highCell = document.createElement("td");
+      const highInput = document.createElement("input");
+      highInput.type = "number";
+      highInput.min = 0;
+      highInput.max = 3;
+      highInput.id = `high-flags-${stars}`;
+      highCell.appendChild(highInput);
+
+      const lowCell = document.createElement("td");
+      const lowSelect = document.createElement("select");
+      lowSelect.id = `low-flag-${stars}`;
+      for (const [value, text] of FLAG_COLORS) {
+        lowSelect.add(new Option(text, value));
+      }
+      lowCell.appendChild(lowSelect);
+
+      tr.append(label, highCell, lowCell);
+      return tr;
+    })
+  );
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "playIntelligence" -> "Play intelligence"
+function skillLabel(id) {
+  const words = id.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function buildProfileTable() {
+  const head = document.getElementById("profile-head");
+  head.replaceChildren(
+    ...["Skill", ...MZPositions.POSITIONS].map((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      th.title = MZPositions.POSITION_NAMES[label] || "";
+      return th;
+    })
+  );
+
+  const tbody = document.getElementById("profile-rules");
+  tbody.replaceChildren(
+    ...PROFILE_SKILLS.map((skill) => {
+      const tr = document.createElement("tr");
+      const label = document.createElement("td");
+      label.textContent = skillLabel(skill);
+      tr.appendChild(label);
+
+      for (const position of MZPositions.POSITIONS) {
+        const cell = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = 0;
+        input.max = MZPositions.MAX_WEIGHT;
+        input.dataset.profilePosition = position;
+        input.dataset.profileSkill = skill;
+        cell.appendChild(input);
+        tr.appendChild(cell);
+      }
+      return tr;
+    })
+  );
+}
+
+function fillProfiles(profiles) {
+  for (const input of document.querySelectorAll("[data-profile-skill]")) {
+    const { profilePosition, profileSkill } = input.dataset;
+    input.value = profiles[profilePosition]?.[profileSkill] ?? 0;
+  }
+}
+
+function readProfiles() {
+  const profiles = {};
+  for (const input of document.querySelectorAll("[data-profile-skill]")) {
+    const { profilePosition, profileSkill } = input.dataset;
+    const weight = parseFloat(input.value || "0");
+    if (!(weight >= 0 && weight <= MZPositions.MAX_WEIGHT)) {
+      throw new Error(
+        `Position weights must be between 0 and ${MZPositions.MAX_WEIGHT}`
+      );
+    }
+    profiles[profilePosition] ??= {};
+    if (weight) profiles[profilePosition][profileSkill] = weight;
+  }
+  return profiles;
+}
+
+function fillForm(settings) {
+  document.getElementById("requests-per-second").value =
+    settings.requestsPerSecond;
+  document.getElementById("cache-expiry-days").value = settings.cacheExpiryDays;
+
+  for (const stars of STAR_LEVELS) {
+    document.getElementById(`high-flags-${stars}`).value =
+      settings.highFlagsByStars[stars] ?? 0;
+    document.getElementById(`low-flag-${stars}`).value =
+      settings.lowFlagByStars[stars] ?? "";
+  }
+
+  document.getElementById("marker-style").value = settings.markerStyle;
+  fillProfiles(settings.positionProfiles);
+
+  for (const input of document.querySelectorAll("[data-weight]")) {
+    input.value = settings.trainingWeights[input.dataset.weight];
+  }
+
+  for (const input of document.querySelectorAll("[data-page]")) {
+    input.checked = settings.pages[input.dataset.page] !== false;
+  }
+  for (const input of document.querySelectorAll("[data-feature]")) {
+    input.checked = settings.features[input.dataset.feature] !== false;
+  }
+}
+
+// Returns the settings from the form, or throws with a user-facing message
+function readForm() {
+  const requestsPerSecond = parseFloat(
+    document.getElementById("requests-per-second").value
+  );
+  if (!(requestsPerSecond > 0 && requestsPerSecond <= 20)) {
+    throw new Error("Requests per second must be between 0.1 and 20");
+  }
+
+  const cacheExpiryDays = parseInt(
+    document.getElementById("cache-expiry-days").value,
+    10
+  );
+  if (!(cacheExpiryDays >= 1 && cacheExpiryDays <= 365)) {
+    throw new Error("Cache expiry must be between 1 and 365 days");
+  }
+
+  const highFlagsByStars = {};
+  const lowFlagByStars = {};
+  for (const stars of STAR_LEVELS) {
+    const count = parseInt(
+      document.getElementById(`high-flags-${stars}`).value,
+      10
+    );
+    if (!(count >= 0 && count <= 3)) {
+      throw new Error("Green flag counts must be between 0 and 3");
+    }
+    highFlagsByStars[stars] = count;
+    lowFlagByStars[stars] = document.getElementById(`low-flag-${stars}`).value;
+  }
+
+  const trainingWeights = {};
+  for (const input of document.querySelectorAll("[data-weight]")) {
+    const weight = parseFloat(input.value);
+    if (!(weight >= 0 && weight <= 10)) {
+      throw new Error("Training weights must be between 0 and 10");
+    }
+    trainingWeights[input.dataset.weight] = weight;
+  }
+
+  const pages = {};
+  for (const input of document.querySelectorAll("[data-page]")) {
+    pages[input.dataset.page] = input.checked;
+  }
+  const features = {};
+  for (const input of document.querySelectorAll("[data-feature]")) {
+    features[input.dataset.feature] = input.checked;
+  }
+
+  return {
+    requestsPerSecond,
+    cacheExpiryDays,
+    highFlagsByStars,
+    lowFlagByStars,
+    markerStyle: document.getElementById("marker-style").value,
+    trainingWeights,
+    positionProfiles: readProfiles(),
+    pages,
+    features,
+  };
+}
+
+// Event listeners
+document.getElementById("save").addEventListener("click", async () => {
+  let settings;
+  try {
+    settings = readForm();
+  } catch (error) {
+    showStatus(error.message, "error");
+    return;
+  }
+
+  try {
+    await MZSettings.update(settings);
+    showStatus("Options saved");
+  } catch (error) {
+    showStatus("Failed to save options: " + error.message, "error");
+  }
+});
+
+document.getElementById("reset").addEventListener("click", async () => {
+  fillForm(await MZSettings.reset());
+  showStatus("Defaults restored");
+});
+
+// Profiles travel as a small JSON file, e.g. to share them with a co-manager
+document.getElementById("export-profiles").addEventListener("click", () => {
+  let profiles;
+  try {
+    profiles = readProfiles();
+  } catch (error) {
+    showStatus(error.message, "error");
+    return;
+  }
+
+  const data = {
+    type: "mz-position-profiles",
+    version: 1,
+    exported: new Date().toISOString(),
+    profiles,
+  };
+  downloadFile(
+    "mz-position-profiles.json",
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+});
+
+document.getElementById("import-profiles").addEventListener("click", () => {
+  document.getElementById("import-profiles-file").click();
+});
+
+// Imported profiles fill the form; Save stores them like any other change
+document
+  .getElementById("import-profiles-file")
+  .addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      fillProfiles(MZPositions.cleanProfiles(data.profiles ?? data));
+      showStatus("Profiles imported - Save to apply them");
+    } catch (error) {
+      showStatus("Import failed: " + error.message, "error");
+    }
+  });
+
+// Initialize on page open
+document.addEventListener("DOMContentLoaded", async () => {
+  buildFlagRuleRows();
+  buildProfileTable();
+  fillForm(await MZSettings.load());
+});
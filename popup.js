@@ -1,6 +1,3 @@
-// Cache management constants
-const CACHE_KEY_PREFIX = "mz-scout-";
-
 // Utility functions
 function showStatus(message, type = "info") {
   const statusEl = document.getElementById("status-message");
@@ -22,37 +19,26 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
 }
 
-// Communication with content script
-async function sendMessageToActiveTab(message) {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab?.id) {
-    return { error: "No active tab found", isManagerZone: false };
-  }
-
-  // Check if it's a ManagerZone tab
-  if (!tab.url?.includes("managerzone.com")) {
-    return { error: "Not on ManagerZone", isManagerZone: false };
-  }
+function formatDuration(ms) {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+}
 
+// Communication with the background service worker, which owns the cache
+async function sendMessageToBackground(message) {
   try {
-    const response = await chrome.tabs.sendMessage(tab.id, message);
-    return { ...response, isManagerZone: true };
+    const response = await chrome.runtime.sendMessage(message);
+    return response || { error: "No response from background" };
   } catch (error) {
-    return { error: "Content script not responding", isManagerZone: true };
+    return { error: "Background not responding" };
   }
 }
 
 async function getCacheStats() {
-  const response = await sendMessageToActiveTab({ type: "GET_CACHE_STATS" });
-
-  if (!response.isManagerZone) {
-    return {
-      totalCached: "N/A",
-      totalSize: "N/A",
-      cacheKeys: [],
-      needsManagerZone: true,
-    };
-  }
+  const response = await sendMessageToBackground({ type: "GET_CACHE_STATS" });
 
   if (response.error) {
     return {
@@ -67,14 +53,7 @@ async function getCacheStats() {
 }
 
 async function clearCache() {
-  const response = await sendMessageToActiveTab({ type: "CLEAR_CACHE" });
-
-  if (!response.isManagerZone) {
-    return {
-      error: "Please switch to a ManagerZone tab first",
-      needsManagerZone: true,
-    };
-  }
+  const response = await sendMessageToBackground({ type: "CLEAR_CACHE" });
 
   if (response.error) {
     return { error: response.error };
@@ -83,59 +62,577 @@ async function clearCache() {
   return { clearedCount: response.clearedCount || 0 };
 }
 
-function setUnavailableState() {
-  document.getElementById("cache-count").textContent = "N/A";
-  document.getElementById("cache-size").textContent = "N/A";
-
-  // Disable cache buttons when not on ManagerZone
-  document.getElementById("refresh-cache").disabled = true;
-  document.getElementById("clear-cache").disabled = true;
-}
-
-function setAvailableState() {
-  // Re-enable cache buttons when on ManagerZone
-  document.getElementById("refresh-cache").disabled = false;
-  document.getElementById("clear-cache").disabled = false;
-}
-
 async function updateCacheDisplay() {
   document.getElementById("cache-count").textContent = "Loading...";
   document.getElementById("cache-size").textContent = "Loading...";
 
   const result = await getCacheStats();
 
-  if (result.needsManagerZone) {
-    setUnavailableState();
-    return { needsManagerZone: true };
-  }
-
   if (result.error) {
     document.getElementById("cache-count").textContent = "Error";
     document.getElementById("cache-size").textContent = "Error";
     return { error: result.error };
   }
 
-  setAvailableState();
   document.getElementById("cache-count").textContent = result.totalCached;
-  document.getElementById("cache-size").textContent = formatBytes(
-    result.totalSize
+  document.getElementById("cache-size").textContent = result.maxBytes
+    ? `${formatBytes(result.totalSize)} / ${formatBytes(result.maxBytes)}`
+    : formatBytes(result.totalSize);
+
+  return { success: true };
+}
+
+async function updateQueueDisplay() {
+  const response = await sendMessageToBackground({ type: "GET_QUEUE_STATE" });
+  if (response.error) {
+    document.getElementById("queue-pending").textContent = "Error";
+    document.getElementById("queue-in-flight").textContent = "Error";
+    document.getElementById("queue-failed-count").textContent = "Error";
+    return { error: response.error };
+  }
+
+  const { queue } = response;
+  const pendingText = queue.pausedUntil
+    ? `${queue.pending.length} (paused)`
+    : queue.pending.length;
+  document.getElementById("queue-pending").textContent = pendingText;
+  document.getElementById("queue-in-flight").textContent = queue.inFlight;
+  document.getElementById("queue-failed-count").textContent =
+    queue.failed.length;
+
+  const failedList = document.getElementById("queue-failed");
+  failedList.replaceChildren(
+    ...queue.failed.map(({ pid, sport, error }) => {
+      const li = document.createElement("li");
+      li.textContent = `${pid} (${sport}): ${error}`;
+      return li;
+    })
   );
 
+  // Set by the background when a fetch came back with the login page
+  document.getElementById("session-warning").hidden =
+    queue.session?.valid !== false;
+
+  const rateInput = document.getElementById("queue-rate");
+  if (document.activeElement !== rateInput) {
+    rateInput.value = queue.config.requestsPerSecond;
+  }
+
   return { success: true };
 }
 
+// ---- Squad prefetch ----
+function prefetchSummary(prefetch) {
+  if (prefetch.stage === "listing") return "Reading your squad…";
+
+  const { fetched, failed, total, cached, squadSize } = prefetch;
+  const counts =
+    `${fetched + failed} of ${total} fetched` +
+    (failed ? `, ${failed} failed` : "") +
+    ` (${cached} of ${squadSize} already cached)`;
+  if (prefetch.running) {
+    return prefetch.cancelled ? `Cancelling… ${counts}` : counts;
+  }
+  if (prefetch.error) return `Prefetch failed: ${prefetch.error.error}`;
+  return `${prefetch.cancelled ? "Cancelled" : "Done"}: ${counts}`;
+}
+
+let prefetchWasRunning = false;
+
+async function updatePrefetchDisplay() {
+  const response = await sendMessageToBackground({ type: "PREFETCH_STATE" });
+  const { prefetch } = response;
+  const box = document.getElementById("prefetch-progress-box");
+  box.hidden = !prefetch;
+  if (!prefetch) return;
+
+  const progress = document.getElementById("prefetch-progress");
+  if (prefetch.stage === "listing") {
+    progress.removeAttribute("value"); // indeterminate
+  } else {
+    progress.max = Math.max(prefetch.total, 1);
+    progress.value = prefetch.total ? prefetch.fetched + prefetch.failed : 1;
+  }
+
+  document.getElementById("prefetch-text").textContent =
+    prefetchSummary(prefetch);
+  document.getElementById("prefetch-start").disabled = prefetch.running;
+  document.getElementById("prefetch-cancel").hidden =
+    !prefetch.running || prefetch.cancelled;
+
+  // Freshly cached players should show up in the browser below
+  if (prefetchWasRunning && !prefetch.running) {
+    await refreshCacheBrowser();
+    await updateCacheDisplay();
+  }
+  prefetchWasRunning = prefetch.running;
+}
+
+// ---- Cache browser ----
+let cacheEntries = [];
+
+// Cached players picked for the comparison overlay, by "sport:pid"
+const COMPARE_MAX = 4;
+const comparePicks = new Map();
+
+function stars(n) {
+  return n ? "★".repeat(n) : "–";
+}
+
+function entryLabel(entry) {
+  return entry.playerName || `Player ${entry.pid}`;
+}
+
+function matchesSearch(entry, query) {
+  if (!query) return true;
+  const { highest = [], lowest = [] } = entry.scoutData || {};
+  const haystack = [
+    entryLabel(entry),
+    entry.pid,
+    entry.sport,
+    ...highest,
+    ...lowest,
+  ]
+    .join(" ")
+    .toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .every((term) => haystack.includes(term));
+}
+
+const CACHE_SORTS = {
+  "cached-desc": (a, b) => b.cached - a.cached,
+  "cached-asc": (a, b) => a.cached - b.cached,
+  name: (a, b) => entryLabel(a).localeCompare(entryLabel(b)),
+  "stars-high": (a, b) =>
+    (b.scoutData?.starsHigh || 0) - (a.scoutData?.starsHigh || 0),
+  expires: (a, b) => a.expires - b.expires,
+};
+
+function describeEntry(entry) {
+  const data = entry.scoutData || {};
+  const lines = [
+    `PID: ${entry.pid} (${entry.sport})`,
+    `Highest (${data.starsHigh ?? "?"}★): ${data.highest?.join(", ") || "–"}`,
+    `Lowest (${data.starsLow ?? "?"}★): ${data.lowest?.join(", ") || "–"}`,
+    `Potential: ${data.potentialStars ?? "?"}★`,
+    `Youth training speed: ${data.trainingSpeedStars ?? "?"}★`,
+    `Scout: ${data.scout?.name || "unknown"}`,
+  ];
+  if (data.reportDate) lines.push(`Report date: ${data.reportDate}`);
+  lines.push(`Cached: ${new Date(entry.cached).toLocaleString()}`);
+  lines.push(`Expires: ${new Date(entry.expires).toLocaleString()}`);
+  return lines.join("\n");
+}
+
+function renderCacheEntry(entry) {
+  const now = Date.now();
+  const data = entry.scoutData || {};
+  const li = document.createElement("li");
+  li.className = "cache-entry";
+
+  const title = document.createElement("div");
+  title.className = "cache-entry-title";
+  const name = document.createElement("span");
+  name.textContent = entryLabel(entry);
+  const rating = document.createElement("span");
+  rating.textContent = `▲${stars(data.starsHigh)} ▼${stars(data.starsLow)}`;
+  title.append(name, rating);
+
+  const skills = document.createElement("div");
+  skills.className = "cache-entry-skills";
+  skills.textContent = `▲ ${data.highest?.join(", ") || "–"}  ▼ ${
+    data.lowest?.join(", ") || "–"
+  }`;
+
+  const age = document.createElement("div");
+  age.className = "cache-entry-age";
+  age.textContent = `Cached ${formatDuration(
+    now - entry.cached
+  )} ago · expires in ${formatDuration(entry.expires - now)}`;
+
+  const details = document.createElement("div");
+  details.className = "cache-entry-details";
+  details.textContent = describeEntry(entry);
+  details.hidden = true;
+
+  const actions = document.createElement("div");
+  actions.className = "cache-entry-actions";
+
+  const viewBtn = document.createElement("button");
+  viewBtn.textContent = "View";
+  viewBtn.addEventListener("click", () => {
+    details.hidden = !details.hidden;
+  });
+
+  const refreshBtn = document.createElement("button");
+  refreshBtn.textContent = "Re-fetch";
+  refreshBtn.addEventListener("click", async () => {
+    refreshBtn.disabled = true;
+    const response = await sendMessageToBackground({
+      type: "SCOUT_REFRESH",
+      pid: entry.pid,
+      sport: entry.sport,
+    });
+    if (response.error) {
+      refreshBtn.disabled = false;
+      showStatus("Failed to re-fetch: " + response.error, "error");
+      return;
+    }
+    await refreshCacheBrowser();
+    showStatus(`Re-fetched scout report for ${entryLabel(entry)}`, "success");
+  });
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.textContent = "Delete";
+  deleteBtn.addEventListener("click", async () => {
+    const response = await sendMessageToBackground({
+      type: "CACHE_DELETE",
+      pid: entry.pid,
+      sport: entry.sport,
+    });
+    if (response.error) {
+      showStatus("Failed to delete: " + response.error, "error");
+      return;
+    }
+    await refreshCacheBrowser();
+    showStatus(`Deleted ${entryLabel(entry)} from cache`, "success");
+  });
+
+  const pickKey = `${entry.sport}:${entry.pid}`;
+  const pick = document.createElement("label");
+  const pickBox = document.createElement("input");
+  pickBox.type = "checkbox";
+  pickBox.checked = comparePicks.has(pickKey);
+  pickBox.addEventListener("change", () => {
+    if (!pickBox.checked) comparePicks.delete(pickKey);
+    else if (comparePicks.size < COMPARE_MAX) comparePicks.set(pickKey, entry);
+    else {
+      pickBox.checked = false;
+      showStatus(`Compare up to ${COMPARE_MAX} players at a time`, "info");
+    }
+    updateCompareButton();
+  });
+  pick.append(pickBox, " Compare");
+
+  actions.append(viewBtn, refreshBtn, deleteBtn, pick);
+  li.append(title, skills, age, actions, details);
+  return li;
+}
+
+function renderCacheList() {
+  const query = document.getElementById("cache-search").value.trim();
+  const sort = CACHE_SORTS[document.getElementById("cache-sort").value];
+  const list = document.getElementById("cache-list");
+
+  const visible = cacheEntries
+    .filter((entry) => matchesSearch(entry, query))
+    .sort(sort);
+  if (!visible.length) {
+    const empty = document.createElement("li");
+    empty.className = "cache-entry muted";
+    empty.textContent = cacheEntries.length
+      ? "No cached players match"
+      : "No cached players yet";
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(...visible.map(renderCacheEntry));
+}
+
+function updateCompareButton() {
+  const button = document.getElementById("compare-picked");
+  button.disabled = comparePicks.size < 2;
+  button.textContent = comparePicks.size
+    ? `Compare picked players (${comparePicks.size})`
+    : "Compare picked players";
+}
+
+// The comparison opens as an overlay on the ManagerZone page in this tab,
+// which uses the cards it shows and the cache for everyone else
+async function openComparison() {
+  const entries = [...comparePicks.values()];
+  const sports = new Set(entries.map((entry) => entry.sport));
+  if (sports.size > 1) {
+    showStatus("Pick players of one sport to compare", "error");
+    return;
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, {
+      type: "OPEN_COMPARISON",
+      sport: entries[0].sport,
+      players: entries.map(({ pid, playerName }) => ({
+        pid,
+        name: playerName,
+      })),
+    });
+  } catch (error) {
+    showStatus("Open a ManagerZone page in this tab to compare", "error");
+    return;
+  }
+  if (response?.error) {
+    showStatus("Failed to compare: " + response.error, "error");
+    return;
+  }
+  window.close();
+}
+
+async function refreshCacheBrowser() {
+  const response = await sendMessageToBackground({ type: "CACHE_LIST" });
+  if (response.error) {
+    cacheEntries = [];
+    showStatus("Failed to load cached players: " + response.error, "error");
+  } else {
+    cacheEntries = response.entries;
+  }
+  // Deleted or cleared players can't be compared any more
+  const listed = new Set(cacheEntries.map((e) => `${e.sport}:${e.pid}`));
+  for (const key of comparePicks.keys()) {
+    if (!listed.has(key)) comparePicks.delete(key);
+  }
+  updateCompareButton();
+  renderCacheList();
+  await updateCacheDisplay();
+}
+
+// ---- Player notes ----
+let noteEntries = [];
+
+function noteMatchesSearch(note, query) {
+  if (!query) return true;
+  const haystack = [
+    note.playerName,
+    note.pid,
+    note.sport,
+    note.text,
+    ...note.tags.map((tag) => tag.label),
+  ]
+    .join(" ")
+    .toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .every((term) => haystack.includes(term));
+}
+
+function renderNoteEntry(note) {
+  const li = document.createElement("li");
+  li.className = "cache-entry";
+
+  const title = document.createElement("div");
+  title.className = "cache-entry-title";
+  const name = document.createElement("span");
+  name.textContent = note.playerName || `Player ${note.pid}`;
+  const id = document.createElement("span");
+  id.className = "muted";
+  id.textContent = `${note.pid} (${note.sport})`;
+  title.append(name, id);
+
+  const tags = document.createElement("div");
+  tags.className = "note-tags";
+  tags.append(
+    ...note.tags.map((tag) => {
+      const chip = document.createElement("span");
+      chip.className = `note-tag note-tag-${tag.color}`;
+      chip.textContent = tag.label;
+      return chip;
+    })
+  );
+
+  const text = document.createElement("div");
+  text.className = "note-text";
+  text.textContent = note.text;
+
+  const actions = document.createElement("div");
+  actions.className = "cache-entry-actions";
+  const deleteBtn = document.createElement("button");
+  deleteBtn.textContent = "Delete";
+  deleteBtn.addEventListener("click", async () => {
+    const response = await sendMessageToBackground({
+      type: "NOTE_SET",
+      pid: note.pid,
+      sport: note.sport,
+      note: { text: "", tags: [] },
+    });
+    if (response.error) {
+      showStatus("Failed to delete note: " + response.error, "error");
+      return;
+    }
+    await refreshNotes();
+    showStatus("Note deleted", "success");
+  });
+  actions.appendChild(deleteBtn);
+
+  li.append(title, tags, text, actions);
+  return li;
+}
+
+function renderNotesList() {
+  const query = document.getElementById("notes-search").value.trim();
+  const list = document.getElementById("notes-list");
+
+  const visible = noteEntries
+    .filter((note) => noteMatchesSearch(note, query))
+    .sort((a, b) => b.updated - a.updated);
+  if (!visible.length) {
+    const empty = document.createElement("li");
+    empty.className = "cache-entry muted";
+    empty.textContent = noteEntries.length
+      ? "No notes match"
+      : "No notes yet. Add them from a player card (✎).";
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(...visible.map(renderNoteEntry));
+}
+
+async function refreshNotes() {
+  const response = await sendMessageToBackground({ type: "NOTE_LIST" });
+  if (response.error) {
+    noteEntries = [];
+    showStatus("Failed to load notes: " + response.error, "error");
+  } else {
+    noteEntries = response.notes;
+  }
+  renderNotesList();
+}
+
+// ---- Export / import ----
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `mz-scout-cache-${date}.${extension}`;
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function entriesToCSV(entries) {
+  const header = [
+    "pid",
+    "name",
+    "highest skills",
+    "lowest skills",
+    "starsHigh",
+    "starsLow",
+    "cached date",
+  ];
+  const rows = entries.map(({ pid, playerName, scoutData = {}, cached }) => [
+    pid,
+    playerName,
+    scoutData.highest?.join("; "),
+    scoutData.lowest?.join("; "),
+    scoutData.starsHigh,
+    scoutData.starsLow,
+    new Date(cached).toISOString(),
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n");
+}
+
 // Event listeners
-document.getElementById("refresh-cache").addEventListener("click", async () => {
-  const result = await updateCacheDisplay();
+document.getElementById("open-options").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
 
-  if (result.needsManagerZone) {
-    showStatus(
-      "Please switch to a ManagerZone tab to view cache stats",
-      "info"
-    );
+document.getElementById("export-json").addEventListener("click", async () => {
+  const response = await sendMessageToBackground({ type: "CACHE_EXPORT" });
+  if (response.error) {
+    showStatus("Export failed: " + response.error, "error");
     return;
   }
 
+  const { data } = response;
+  downloadFile(
+    exportFilename("json"),
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+  showStatus(`Exported ${data.entries.length} scout reports`, "success");
+});
+
+document.getElementById("export-csv").addEventListener("click", async () => {
+  const response = await sendMessageToBackground({ type: "CACHE_LIST" });
+  if (response.error) {
+    showStatus("Export failed: " + response.error, "error");
+    return;
+  }
+
+  downloadFile(
+    exportFilename("csv"),
+    entriesToCSV(response.entries),
+    "text/csv"
+  );
+  showStatus(`Exported ${response.entries.length} players as CSV`, "success");
+});
+
+document.getElementById("import-json").addEventListener("click", () => {
+  document.getElementById("import-file").click();
+});
+
+document.getElementById("import-file").addEventListener("change", async (e) => {
+  const [file] = e.target.files;
+  e.target.value = ""; // Allow importing the same file again
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus("Import failed: file is not valid JSON", "error");
+    return;
+  }
+
+  const response = await sendMessageToBackground({
+    type: "CACHE_IMPORT",
+    data,
+  });
+  if (response.error) {
+    showStatus("Import failed: " + response.error, "error");
+    return;
+  }
+
+  const { imported, skipped, expired, invalid } = response.result;
+  await refreshCacheBrowser();
+  showStatus(
+    `Imported ${imported} (${skipped} older, ${expired} expired, ${invalid} invalid)`,
+    invalid ? "info" : "success"
+  );
+});
+
+document
+  .getElementById("cache-search")
+  .addEventListener("input", renderCacheList);
+document
+  .getElementById("cache-sort")
+  .addEventListener("change", renderCacheList);
+document
+  .getElementById("notes-search")
+  .addEventListener("input", renderNotesList);
+document
+  .getElementById("compare-picked")
+  .addEventListener("click", openComparison);
+
+document.getElementById("refresh-cache").addEventListener("click", async () => {
+  const result = await updateCacheDisplay();
+
   if (result.error) {
     showStatus("Failed to refresh cache stats: " + result.error, "error");
     return;
@@ -147,27 +644,90 @@ document.getElementById("refresh-cache").addEventListener("click", async () => {
 document.getElementById("clear-cache").addEventListener("click", async () => {
   const result = await clearCache();
 
-  if (result.needsManagerZone) {
-    showStatus("Please switch to a ManagerZone tab first", "info");
-    return;
-  }
-
   if (result.error) {
     showStatus("Failed to clear cache: " + result.error, "error");
     return;
   }
 
-  await updateCacheDisplay();
+  await refreshCacheBrowser();
   showStatus(`Cleared ${result.clearedCount} cached scout reports`, "success");
 });
 
+document.getElementById("queue-rate").addEventListener("change", async (e) => {
+  const requestsPerSecond = parseFloat(e.target.value);
+  if (!(requestsPerSecond > 0)) {
+    showStatus("Requests/sec must be a positive number", "error");
+    return;
+  }
+
+  const response = await sendMessageToBackground({
+    type: "SET_QUEUE_CONFIG",
+    config: { requestsPerSecond },
+  });
+
+  if (response.error) {
+    showStatus("Failed to update queue: " + response.error, "error");
+    return;
+  }
+
+  showStatus(`Queue set to ${requestsPerSecond} requests/sec`, "success");
+});
+
+document
+  .getElementById("prefetch-start")
+  .addEventListener("click", async () => {
+    const response = await sendMessageToBackground({
+      type: "PREFETCH_START",
+      sport: document.getElementById("prefetch-sport").value,
+    });
+    if (response.error) {
+      showStatus("Prefetch failed: " + response.error, "error");
+      return;
+    }
+    await updatePrefetchDisplay();
+  });
+
+document
+  .getElementById("prefetch-cancel")
+  .addEventListener("click", async () => {
+    await sendMessageToBackground({ type: "PREFETCH_CANCEL" });
+    await updatePrefetchDisplay();
+  });
+
+// Open ManagerZone tabs pick the change up through MZSettings.onChange
+document
+  .getElementById("diagnostics-mode")
+  .addEventListener("change", async (e) => {
+    try {
+      await MZSettings.update({ diagnostics: e.target.checked });
+      showStatus(
+        `Diagnostics mode ${e.target.checked ? "on" : "off"}`,
+        "success"
+      );
+    } catch (error) {
+      showStatus("Failed to switch diagnostics: " + error.message, "error");
+    }
+  });
+
 // Initialize on popup open
 document.addEventListener("DOMContentLoaded", async () => {
   const result = await updateCacheDisplay();
 
-  if (result.needsManagerZone) {
-    showStatus("Switch to a ManagerZone tab to view cache stats", "info");
-  } else if (result.error) {
+  if (result.error) {
     showStatus("Cache stats unavailable: " + result.error, "error");
   }
+
+  await refreshCacheBrowser();
+  await refreshNotes();
+
+  const settings = await MZSettings.load();
+  document.getElementById("diagnostics-mode").checked = settings.diagnostics;
+
+  // Queue state changes quickly while pages are loading, so keep polling
+  await updateQueueDisplay();
+  await updatePrefetchDisplay();
+  setInterval(() => {
+    updateQueueDisplay();
+    updatePrefetchDisplay();
+  }, 1000);
 });
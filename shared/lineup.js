@@ -0,0 +1,197 @@
+// Lineup suggester: picks the starting XI for a formation that maximizes
+// the players' position fit scores (shared/positions.js), then the best
+// remaining backups per position. No DOM or storage access.
+const MZLineup = (() => {
+  // Slots from goal to attack, each a position and a spot on the pitch
+  // diagram (x: 0 left - 100 right, y: 0 own goal - 100 opponent's goal)
+  const FORMATIONS = {
+    "4-4-2": [
+      ["GK", 50, 6],
+      ["FB", 12, 26],
+      ["CB", 37, 22],
+      ["CB", 63, 22],
+      ["FB", 88, 26],
+      ["W", 12, 55],
+      ["CM", 37, 50],
+      ["CM", 63, 50],
+      ["W", 88, 55],
+      ["ST", 37, 82],
+      ["ST", 63, 82],
+    ],
+    "4-3-3": [
+      ["GK", 50, 6],
+      ["FB", 12, 26],
+      ["CB", 37, 22],
+      ["CB", 63, 22],
+      ["FB", 88, 26],
+      ["CM", 28, 50],
+      ["DM", 50, 42],
+      ["CM", 72, 50],
+      ["W", 15, 76],
+      ["ST", 50, 84],
+      ["W", 85, 76],
+    ],
+    "4-2-3-1": [
+      ["GK", 50, 6],
+      ["FB", 12, 26],
+      ["CB", 37, 22],
+      ["CB", 63, 22],
+      ["FB", 88, 26],
+      ["DM", 37, 42],
+      ["DM", 63, 42],
+      ["W", 15, 64],
+      ["CM", 50, 62],
+      ["W", 85, 64],
+      ["ST", 50, 85],
+    ],
+    "4-5-1": [
+      ["GK", 50, 6],
+      ["FB", 12, 26],
+      ["CB", 37, 22],
+      ["CB", 63, 22],
+      ["FB", 88, 26],
+      ["W", 12, 58],
+      ["CM", 32, 52],
+      ["DM", 50, 42],
+      ["CM", 68, 52],
+      ["W", 88, 58],
+      ["ST", 50, 84],
+    ],
+    "3-5-2": [
+      ["GK", 50, 6],
+      ["CB", 25, 22],
+      ["CB", 50, 20],
+      ["CB", 75, 22],
+      ["W", 10, 50],
+      ["CM", 32, 52],
+      ["DM", 50, 42],
+      ["CM", 68, 52],
+      ["W", 90, 50],
+      ["ST", 37, 82],
+      ["ST", 63, 82],
+    ],
+    "5-3-2": [
+      ["GK", 50, 6],
+      ["FB", 8, 32],
+      ["CB", 28, 22],
+      ["CB", 50, 20],
+      ["CB", 72, 22],
+      ["FB", 92, 32],
+      ["CM", 28, 52],
+      ["CM", 50, 48],
+      ["CM", 72, 52],
+      ["ST", 37, 82],
+      ["ST", 63, 82],
+    ],
+  };
+
+  const BACKUPS_PER_POSITION = 2;
+
+  // Locked players outweigh any difference in fit, so they always start
+  // (as long as there are enough slots for them)
+  const LOCK_BONUS = 1000;
+
+  // Minimum cost assignment of rows to distinct columns (Hungarian
+  // method); needs rows <= columns. Returns the column for each row.
+  function assign(cost) {
+    const n = cost.length;
+    const m = cost[0].length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(m + 1).fill(0);
+    const match = new Array(m + 1).fill(0); // column -> row, 1-based
+    const way = new Array(m + 1).fill(0);
+
+    for (let row = 1; row <= n; row++) {
+      match[0] = row;
+      let col0 = 0;
+      const minv = new Array(m + 1).fill(Infinity);
+      const used = new Array(m + 1).fill(false);
+      do {
+        used[col0] = true;
+        const row0 = match[col0];
+        let delta = Infinity;
+        let col1 = 0;
+        for (let col = 1; col <= m; col++) {
+          if (used[col]) continue;
+          const reduced = cost[row0 - 1][col - 1] - u[row0] - v[col];
+          if (reduced < minv[col]) {
+            minv[col] = reduced;
+            way[col] = col0;
+          }
+          if (minv[col] < delta) {
+            delta = minv[col];
+            col1 = col;
+          }
+        }
+        for (let col = 0; col <= m; col++) {
+          if (used[col]) {
+            u[match[col]] += delta;
+            v[col] -= delta;
+          } else {
+            minv[col] -= delta;
+          }
+        }
+        col0 = col1;
+      } while (match[col0] !== 0);
+      do {
+        const col1 = way[col0];
+        match[col0] = match[col1];
+        col0 = col1;
+      } while (col0);
+    }
+
+    const result = new Array(n);
+    for (let col = 1; col <= m; col++) {
+      if (match[col]) result[match[col] - 1] = col - 1;
+    }
+    return result;
+  }
+
+  // players: [{ pid, name, scores: { GK: 72, ... } }] with the scores to
+  // pick by (current or projected). locked/excluded: Sets of pids.
+  // Returns { starters: [{ slot, player }], backups: { CB: [player] } };
+  // slots stay empty when there are fewer than 11 players.
+  function suggest({ formation, players, locked = new Set(), excluded }) {
+    const slots = FORMATIONS[formation].map(([position, x, y]) => ({
+      position,
+      x,
+      y,
+    }));
+    const available = players.filter(({ pid }) => !excluded?.has(pid));
+
+    // Fewer players than slots: the weakest slots are left open, which
+    // the solver expresses as zero-score stand-ins
+    const columns = [...available];
+    while (columns.length < slots.length) columns.push(null);
+
+    const cost = slots.map(({ position }) =>
+      columns.map((player) => {
+        if (!player) return 0;
+        const bonus = locked.has(player.pid) ? LOCK_BONUS : 0;
+        return -((player.scores[position] ?? 0) + bonus);
+      })
+    );
+    const picks = assign(cost);
+
+    const starters = slots.map((slot, i) => ({
+      slot,
+      player: columns[picks[i]] || null,
+    }));
+    const starting = new Set(starters.map(({ player }) => player?.pid));
+
+    const backups = {};
+    for (const position of new Set(slots.map((slot) => slot.position))) {
+      backups[position] = available
+        .filter(({ pid }) => !starting.has(pid))
+        .filter(({ scores }) => scores[position] != null)
+        .sort((a, b) => b.scores[position] - a.scores[position])
+        .slice(0, BACKUPS_PER_POSITION);
+    }
+
+    return { starters, backups };
+  }
+
+  return { FORMATIONS, suggest };
+})();
+
+if (typeof module !== "undefined") module.exports = MZLineup;
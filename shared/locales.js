@@ -0,0 +1,256 @@
+// Locale layer: maps localized ManagerZone skill names and scout report
+// section titles to canonical ids, so matching never depends on the site
+// language. Names are compared lowercased. Each id has the one term the
+// site uses: an unknown name only falls back to matching by row (see
+// shared/sports.js), while a loose variant can match the wrong skill.
+const MZLocales = (() => {
+  const DEFAULT_LANGUAGE = "en";
+
+  const DICTIONARIES = {
+    en: {
+      sections: {
+        highest: ["highest"],
+        lowest: ["lowest"],
+        potential: ["potential"],
+        trainingSpeed: ["youth training speed"],
+      },
+      skills: {
+        speed: ["speed"],
+        stamina: ["stamina"],
+        playIntelligence: ["play intelligence"],
+        passing: ["passing"],
+        shooting: ["shooting"],
+        heading: ["heading"],
+        keeping: ["keeping"],
+        ballControl: ["ball control"],
+        tackling: ["tackling"],
+        aerialPassing: ["aerial passing"],
+        setPlays: ["set plays"],
+        experience: ["experience"],
+        form: ["form"],
+        power: ["power"],
+        stickhandling: ["stickhandling"],
+        checking: ["checking"],
+        skating: ["skating"],
+        endurance: ["endurance"],
+      },
+    },
+    sv: {
+      sections: {
+        highest: ["högsta"],
+        lowest: ["lägsta"],
+        potential: ["potential"],
+        trainingSpeed: ["träningshastighet"],
+      },
+      skills: {
+        speed: ["snabbhet"],
+        stamina: ["uthållighet"],
+        playIntelligence: ["spelintelligens"],
+        passing: ["passningar"],
+        shooting: ["skott"],
+        heading: ["nickning"],
+        keeping: ["målvaktsspel"],
+        ballControl: ["bollkontroll"],
+        tackling: ["tacklingar"],
+        aerialPassing: ["långa passningar"],
+        setPlays: ["fasta situationer"],
+        experience: ["erfarenhet"],
+        form: ["form"],
+        power: ["styrka"],
+        stickhandling: ["klubbteknik"],
+        checking: ["tacklingsspel"],
+        skating: ["skridsko"],
+      },
+    },
+    es: {
+      sections: {
+        highest: ["más alto"],
+        lowest: ["más bajo"],
+        potential: ["potencial"],
+        trainingSpeed: ["velocidad de entrenamiento"],
+      },
+      skills: {
+        speed: ["velocidad"],
+        stamina: ["resistencia"],
+        playIntelligence: ["inteligencia"],
+        passing: ["pase"],
+        shooting: ["remate"],
+        heading: ["cabezazo"],
+        keeping: ["portería"],
+        ballControl: ["control del balón"],
+        tackling: ["entradas"],
+        aerialPassing: ["pase largo"],
+        setPlays: ["balón parado"],
+        experience: ["experiencia"],
+        form: ["forma"],
+      },
+    },
+    pt: {
+      sections: {
+        highest: ["mais alto"],
+        lowest: ["mais baixo"],
+        potential: ["potencial"],
+        trainingSpeed: ["velocidade de treino"],
+      },
+      skills: {
+        speed: ["velocidade"],
+        stamina: ["resistência"],
+        playIntelligence: ["inteligência"],
+        passing: ["passe"],
+        shooting: ["remate"],
+        heading: ["cabeceamento"],
+        keeping: ["guarda-redes"],
+        ballControl: ["controle de bola"],
+        tackling: ["desarme"],
+        aerialPassing: ["passe longo"],
+        setPlays: ["bolas paradas"],
+        experience: ["experiência"],
+        form: ["forma"],
+      },
+    },
+    pl: {
+      sections: {
+        highest: ["najwyższ"],
+        lowest: ["najniższ"],
+        potential: ["potencjał"],
+        trainingSpeed: ["tempo treningu"],
+      },
+      skills: {
+        speed: ["szybkość"],
+        stamina: ["kondycja"],
+        playIntelligence: ["inteligencja"],
+        passing: ["podania"],
+        shooting: ["strzały"],
+        heading: ["gra głową"],
+        keeping: ["bramkarstwo"],
+        ballControl: ["kontrola piłki"],
+        tackling: ["odbiór piłki"],
+        aerialPassing: ["długie podania"],
+        setPlays: ["stałe fragmenty"],
+        experience: ["doświadczenie"],
+        form: ["forma"],
+      },
+    },
+    it: {
+      sections: {
+        highest: ["più alt"],
+        lowest: ["più bass"],
+        potential: ["potenziale"],
+        trainingSpeed: ["velocità di allenamento"],
+      },
+      skills: {
+        speed: ["velocità"],
+        stamina: ["resistenza"],
+        playIntelligence: ["intelligenza"],
+        passing: ["passaggio"],
+        shooting: ["tiro"],
+        heading: ["colpo di testa"],
+        keeping: ["parate"],
+        ballControl: ["controllo palla"],
+        tackling: ["contrasto"],
+        aerialPassing: ["lanci lunghi"],
+        setPlays: ["calci piazzati"],
+        experience: ["esperienza"],
+        form: ["forma"],
+      },
+    },
+    de: {
+      sections: {
+        highest: ["höchst"],
+        lowest: ["niedrigst"],
+        potential: ["potenzial"],
+        trainingSpeed: ["trainingsgeschwindigkeit"],
+      },
+      skills: {
+        speed: ["schnelligkeit"],
+        stamina: ["ausdauer"],
+        playIntelligence: ["spielintelligenz"],
+        passing: ["passen"],
+        shooting: ["schießen"],
+        heading: ["kopfball"],
+        keeping: ["torwartspiel"],
+        ballControl: ["ballkontrolle"],
+        tackling: ["zweikampf"],
+        aerialPassing: ["weite pässe"],
+        setPlays: ["standards"],
+        experience: ["erfahrung"],
+        form: ["form"],
+      },
+    },
+  };
+
+  const LANGUAGES = Object.keys(DICTIONARIES);
+
+  function norm(s) {
+    return s?.trim().toLowerCase();
+  }
+
+  // "pt-BR" -> "pt"; null when we ship no dictionary for it
+  function toSupportedLanguage(tag) {
+    const lang = norm(tag)?.split(/[-_]/)[0];
+    return lang && LANGUAGES.includes(lang) ? lang : null;
+  }
+
+  // The site sets <html lang>; the content-language meta and a ?lang=
+  // parameter are fallbacks. Returns a language code even when we ship no
+  // dictionary for it (see hasDictionary), null when the page doesn't say.
+  // The browser's language is no guide to the page's, so it isn't used.
+  function detectLanguage(doc) {
+    const tags = [
+      doc.documentElement?.getAttribute("lang"),
+      doc.querySelector("meta[http-equiv='content-language']")?.content,
+      new URLSearchParams(doc.location?.search || "").get("lang"),
+    ];
+    for (const tag of tags) {
+      if (tag) return norm(tag).split(/[-_]/)[0];
+    }
+    return null;
+  }
+
+  function hasDictionary(lang) {
+    return toSupportedLanguage(lang) !== null;
+  }
+
+  // Only the page language's dictionary once we know it, since the same
+  // word can mean different things in two languages; none when we ship no
+  // dictionary for it (callers then go by position), and all of them only
+  // when the page doesn't say
+  function dictionariesFor(lang) {
+    if (!lang) return LANGUAGES.map((l) => DICTIONARIES[l]);
+    const supported = toSupportedLanguage(lang);
+    return supported ? [DICTIONARIES[supported]] : [];
+  }
+
+  // Skill name -> canonical id (e.g. "Bollkontroll" -> "ballControl"),
+  // or null when no dictionary knows the name
+  function skillIdFromName(name, lang) {
+    const key = norm(name);
+    if (!key) return null;
+    for (const dictionary of dictionariesFor(lang)) {
+      for (const [id, variants] of Object.entries(dictionary.skills)) {
+        if (variants.includes(key)) return id;
+      }
+    }
+    return null;
+  }
+
+  // Does the text contain one of the terms for a section
+  // ("highest", "lowest", "potential", "trainingSpeed")?
+  function matchesSection(text, section, lang) {
+    const key = norm(text);
+    if (!key) return false;
+    return dictionariesFor(lang).some((dictionary) =>
+      dictionary.sections[section].some((term) => key.includes(term))
+    );
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    hasDictionary,
+    skillIdFromName,
+    matchesSection,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZLocales;
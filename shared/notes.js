@@ -0,0 +1,27 @@
+// How player notes are stored, shared by background/player-notes.js, which
+// keeps them, and content/player-notes.js, which shows and edits them.
+const MZNoteFormat = (() => {
+  const KEY_PREFIX = "mz-notes-v1-";
+
+  const TAG_COLORS = ["green", "blue", "yellow", "red", "purple", "gray"];
+
+  function getNoteKey(pid, sport = MZSports.DEFAULT_SPORT) {
+    return `${KEY_PREFIX}${sport}-${pid}`;
+  }
+
+  function isNoteKey(key) {
+    return key.startsWith(KEY_PREFIX);
+  }
+
+  // { sport, pid } for a note's key, null for any other key
+  function parseNoteKey(key) {
+    if (!isNoteKey(key)) return null;
+    const [sport, pid] = key.slice(KEY_PREFIX.length).split("-");
+    if (!MZSports.isSport(sport) || !pid) return null;
+    return { sport, pid };
+  }
+
+  return { TAG_COLORS, getNoteKey, isNoteKey, parseNoteKey };
+})();
+
+if (typeof module !== "undefined") module.exports = MZNoteFormat;
@@ -0,0 +1,107 @@
+// Position suitability: scores how well a soccer player fits each position
+// from the skill levels, now and as projected from the scout report. No DOM
+// or storage access; the weight profiles come from the settings
+// (positionProfiles), one { skillId: weight } map per position.
+const MZPositions = (() => {
+  const POSITIONS = ["GK", "CB", "FB", "DM", "CM", "W", "ST"];
+
+  const POSITION_NAMES = {
+    GK: "Goalkeeper",
+    CB: "Centre back",
+    FB: "Full back",
+    DM: "Defensive midfielder",
+    CM: "Central midfielder",
+    W: "Winger",
+    ST: "Striker",
+  };
+
+  const MAX_WEIGHT = 10;
+
+  // Rough growth per skill from the scout report: a high potential skill
+  // gains about its star count in levels, an unlisted one a level, a low
+  // potential one nothing
+  const UNLISTED_GAIN = 1;
+  const UNKNOWN_STARS_GAIN = 2;
+
+  function projectLevel(level, potential, maxLevel) {
+    let gain = UNLISTED_GAIN;
+    if (potential?.kind === "high") {
+      gain = potential.stars ?? UNKNOWN_STARS_GAIN;
+    } else if (potential?.kind === "low") {
+      gain = 0;
+    }
+    return Math.min(maxLevel, level + gain);
+  }
+
+  // 0-100: the weighted average level as a share of the maximum
+  function scoreProfile(profile, levelOf, maxLevel) {
+    let total = 0;
+    let weights = 0;
+    for (const [id, weight] of Object.entries(profile)) {
+      const level = levelOf(id);
+      if (level == null || !weight) continue;
+      total += weight * level;
+      weights += weight;
+    }
+    return weights ? Math.round((100 * total) / (weights * maxLevel)) : null;
+  }
+
+  // levels: Map id -> level, potentials: Map id -> { kind, stars } (see
+  // MZCommon.getPotentialById; empty without a report). Best fit first.
+  function rankPositions({ levels, potentials = new Map(), profiles }) {
+    const { maxLevel } = MZSports.getSportConfig("soccer");
+    const projected = new Map(
+      [...levels].map(([id, level]) => [
+        id,
+        projectLevel(level, potentials.get(id), maxLevel),
+      ])
+    );
+
+    const score = (position, levelMap) =>
+      scoreProfile(profiles[position], (id) => levelMap.get(id), maxLevel);
+
+    return POSITIONS.filter((position) => profiles[position])
+      .map((position) => ({
+        position,
+        current: score(position, levels),
+        projected: potentials.size ? score(position, projected) : null,
+      }))
+      .filter(({ current }) => current != null)
+      .sort(
+        (a, b) =>
+          b.current - a.current || (b.projected ?? 0) - (a.projected ?? 0)
+      );
+  }
+
+  // Profiles read from an import or the options form: known positions
+  // only, weights clamped to 0..MAX_WEIGHT, zero weights dropped
+  function cleanProfiles(profiles) {
+    if (!profiles || typeof profiles !== "object") {
+      throw new Error("Not a set of position profiles");
+    }
+    const cleaned = {};
+    for (const position of POSITIONS) {
+      const profile = profiles[position];
+      if (!profile || typeof profile !== "object") continue;
+      cleaned[position] = {};
+      for (const [id, weight] of Object.entries(profile)) {
+        const value = Math.min(MAX_WEIGHT, Math.max(0, Number(weight) || 0));
+        if (value) cleaned[position][id] = value;
+      }
+    }
+    if (!Object.keys(cleaned).length) {
+      throw new Error("No known positions (GK, CB, FB, DM, CM, W, ST)");
+    }
+    return cleaned;
+  }
+
+  return {
+    POSITIONS,
+    POSITION_NAMES,
+    MAX_WEIGHT,
+    rankPositions,
+    cleanProfiles,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZPositions;
@@ -0,0 +1,34 @@
+// Why a scout report couldn't be had. Raised by the parser (offscreen) and
+// the queue (service worker); the code survives the message hops so the
+// content scripts and popup can tell the cases apart.
+const MZErrors = (() => {
+  const CODES = {
+    NOT_LOGGED_IN: "NOT_LOGGED_IN", // got the login page instead of a report
+    RATE_LIMITED: "RATE_LIMITED", // still HTTP 429 after retrying
+    UNRECOGNIZED_MARKUP: "UNRECOGNIZED_MARKUP", // page changed / bad parse
+    NO_REPORT: "NO_REPORT", // the player has no scout report
+    NETWORK: "NETWORK", // unreachable or a server error
+    CANCELLED: "CANCELLED", // dropped from the queue before it ran
+  };
+
+  class ScoutError extends Error {
+    constructor(code, message) {
+      super(message || code);
+      this.name = "ScoutError";
+      this.code = code;
+    }
+  }
+
+  // Message responses carry errors as { error, code }
+  function toResponse(error) {
+    return { error: error.message, code: error.code || null };
+  }
+
+  function fromResponse({ error, code }) {
+    return code ? new ScoutError(code, error) : new Error(error);
+  }
+
+  return { CODES, ScoutError, toResponse, fromResponse };
+})();
+
+if (typeof module !== "undefined") module.exports = MZErrors;
@@ -0,0 +1,261 @@
+// Scout report HTML parser. Needs a DOM (DOMParser), so it runs in the
+// offscreen document rather than in the service worker.
+const MZParser = (() => {
+  // Bump when the parsed record gains fields; older records stay readable
+  // (v2: potential, training speed, scout; v3: canonical skill ids)
+  const MODEL_VERSION = 3;
+
+  function countLitStars(el) {
+    const starContainer = el?.querySelector(".stars");
+    return starContainer
+      ? starContainer.querySelectorAll(".lit").length
+      : undefined;
+  }
+
+  // Report dates appear as YYYY-MM-DD or DD/MM/YYYY (DD.MM.YYYY) depending
+  // on the user's date format; normalize to ISO.
+  function parseReportDate(text) {
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const dmy = text.match(/\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/);
+    if (dmy) {
+      const pad = (n) => n.padStart(2, "0");
+      return `${dmy[3]}-${pad(dmy[2])}-${pad(dmy[1])}`;
+    }
+    return null;
+  }
+
+  // The scout's identity sits in a labelled block ("Scout: <name>") with the
+  // scout's own knowledge rating as stars and sometimes a level number.
+  function parseScoutIdentity(doc) {
+    const candidates = doc.querySelectorAll("dt, dd, li, td, div, p");
+    for (const el of candidates) {
+      const label = el.querySelector(":scope > strong, :scope > b");
+      const text = (label || el).textContent.trim();
+      if (!/^scout\b/i.test(text) || /report/i.test(text)) continue;
+
+      const name =
+        el.querySelector("a")?.textContent.trim() ||
+        el.textContent
+          .replace(label?.textContent || "", "")
+          .replace(/^\s*scout\s*:?\s*/i, "")
+          .split("\n")[0]
+          .trim() ||
+        null;
+      const level = el.textContent.match(/level\s*:?\s*(\d+)/i);
+
+      return {
+        name,
+        knowledge: countLitStars(el) ?? null,
+        level: level ? Number(level[1]) : null,
+      };
+    }
+    return null;
+  }
+
+  // With an expired session ManagerZone answers 200 with its login page
+  function isLoginPage(doc) {
+    return !!doc.querySelector(
+      "input[type='password'], form[action*='login' i], #login_form"
+    );
+  }
+
+  // Report fragments are small; anything much bigger is some other page
+  // (a redirect, a maintenance notice, a redesign)
+  const MAX_FRAGMENT_TEXT = 1500;
+
+  // Why no report could be read: the player was never scouted (a short
+  // reply without any report sections), or the markup isn't what we expect
+  function classifyMissingReport(doc, sections) {
+    const text = doc.body?.textContent.trim() || "";
+    if (
+      !sections.length &&
+      !doc.querySelector(".stars") &&
+      text.length < MAX_FRAGMENT_TEXT
+    ) {
+      return new MZErrors.ScoutError(
+        MZErrors.CODES.NO_REPORT,
+        "Player has no scout report"
+      );
+    }
+    return new MZErrors.ScoutError(
+      MZErrors.CODES.UNRECOGNIZED_MARKUP,
+      "Scout report markup not recognized"
+    );
+  }
+
+  // Section titles, skill names and the potential/training speed lines are
+  // localized; MZLocales maps them to canonical ids. `lang` is the site
+  // language of the page that asked for the report.
+  function parseScoutHTML(htmlText, lang) {
+    const doc = new DOMParser().parseFromString(htmlText, "text/html");
+    if (isLoginPage(doc)) {
+      throw new MZErrors.ScoutError(
+        MZErrors.CODES.NOT_LOGGED_IN,
+        "Not logged in to ManagerZone"
+      );
+    }
+
+    const dds = Array.from(doc.querySelectorAll("dd"));
+    const sections = [];
+    let potentialStars = null;
+    let trainingSpeedStars = null;
+
+    for (const dd of dds) {
+      const title = dd.querySelector("li > strong")?.textContent?.trim();
+      if (!title) continue;
+
+      const items = Array.from(dd.querySelectorAll("ul li"));
+
+      // Overall potential and training speed lines carry their own stars
+      for (const li of items) {
+        const text = li.textContent.trim();
+        if (MZLocales.matchesSection(text, "trainingSpeed", lang)) {
+          trainingSpeedStars = countLitStars(li) ?? countLitStars(dd) ?? null;
+        } else if (
+          MZLocales.matchesSection(text, "potential", lang) &&
+          !MZLocales.matchesSection(text, "highest", lang) &&
+          !MZLocales.matchesSection(text, "lowest", lang)
+        ) {
+          potentialStars = countLitStars(li) ?? countLitStars(dd) ?? null;
+        }
+      }
+
+      // The title item itself isn't a skill
+      const skills = items
+        .filter((li) => !li.querySelector("strong"))
+        .map((li) => li.textContent.trim())
+        .filter(
+          (t) =>
+            t &&
+            !MZLocales.matchesSection(t, "potential", lang) &&
+            !MZLocales.matchesSection(t, "trainingSpeed", lang)
+        );
+
+      const kind = MZLocales.matchesSection(title, "highest", lang)
+        ? "highest"
+        : MZLocales.matchesSection(title, "lowest", lang)
+        ? "lowest"
+        : null;
+      const stars = countLitStars(dd);
+      if (skills.length) sections.push({ kind, skills, stars });
+    }
+
+    // No dictionary recognized the titles: the report always lists the
+    // highest potentials before the lowest ones
+    if (!sections.some((section) => section.kind)) {
+      const [first, second] = sections.filter((s) => s.stars !== undefined);
+      if (first) first.kind = "highest";
+      if (second) second.kind = "lowest";
+    }
+
+    const highestSection = sections.find((s) => s.kind === "highest");
+    const lowestSection = sections.find((s) => s.kind === "lowest");
+    const highest = highestSection?.skills || [];
+    const lowest = lowestSection?.skills || [];
+
+    // A report always lists both; half a report is a misread page
+    if (!highest.length || !lowest.length) {
+      throw classifyMissingReport(doc, sections);
+    }
+
+    const toIds = (skills) =>
+      skills.map((skill) => MZLocales.skillIdFromName(skill, lang));
+
+    return {
+      modelVersion: MODEL_VERSION,
+      lang: lang || null,
+      highest,
+      lowest,
+      highestIds: toIds(highest),
+      lowestIds: toIds(lowest),
+      starsHigh: highestSection?.stars,
+      starsLow: lowestSection?.stars,
+      potentialStars,
+      trainingSpeedStars,
+      scout: parseScoutIdentity(doc),
+      reportDate: parseReportDate(doc.body?.textContent || ""),
+    };
+  }
+
+  // Player ids and names from the squad page, for prefetching. The page's
+  // language comes along so the reports can be parsed in it.
+  function parseSquadHTML(htmlText) {
+    const doc = new DOMParser().parseFromString(htmlText, "text/html");
+    if (isLoginPage(doc)) {
+      throw new MZErrors.ScoutError(
+        MZErrors.CODES.NOT_LOGGED_IN,
+        "Not logged in to ManagerZone"
+      );
+    }
+
+    const players = [];
+    const seen = new Set();
+    for (const card of doc.querySelectorAll(".playerContainer")) {
+      const pid = card
+        .querySelector("[id^='player_id_'] .player_id_span")
+        ?.textContent.trim();
+      if (!pid || seen.has(pid)) continue;
+      seen.add(pid);
+      players.push({
+        pid,
+        name: card.querySelector(".player_name")?.textContent.trim() || null,
+      });
+    }
+
+    if (!players.length) {
+      throw new MZErrors.ScoutError(
+        MZErrors.CODES.UNRECOGNIZED_MARKUP,
+        "No players found on the squad page"
+      );
+    }
+    return { players, lang: MZLocales.detectLanguage(doc) };
+  }
+
+  // What the parser's selectors find in a report, for the diagnostics
+  // panel. Never throws; the parse outcome is part of the result.
+  function diagnoseScoutHTML(htmlText, lang) {
+    const doc = new DOMParser().parseFromString(htmlText, "text/html");
+    const titles = Array.from(doc.querySelectorAll("dd li > strong")).map(
+      (strong) => {
+        const text = strong.textContent.trim();
+        const kind = MZLocales.matchesSection(text, "highest", lang)
+          ? "highest"
+          : MZLocales.matchesSection(text, "lowest", lang)
+          ? "lowest"
+          : null;
+        return { text, kind };
+      }
+    );
+
+    let outcome;
+    try {
+      const { highest, lowest, starsHigh, starsLow } = parseScoutHTML(
+        htmlText,
+        lang
+      );
+      outcome = { ok: true, highest, lowest, starsHigh, starsLow };
+    } catch (error) {
+      outcome = { ok: false, code: error.code || null, error: error.message };
+    }
+
+    return {
+      htmlLength: htmlText.length,
+      loginPage: isLoginPage(doc),
+      selectors: {
+        dd: doc.querySelectorAll("dd").length,
+        "dd li > strong": titles.length,
+        "dd ul li": doc.querySelectorAll("dd ul li").length,
+        ".stars": doc.querySelectorAll(".stars").length,
+        ".stars .lit": doc.querySelectorAll(".stars .lit").length,
+      },
+      titles,
+      outcome,
+    };
+  }
+
+  return { MODEL_VERSION, parseScoutHTML, parseSquadHTML, diagnoseScoutHTML };
+})();
+
+if (typeof module !== "undefined") module.exports = MZParser;
@@ -0,0 +1,124 @@
+// User settings stored in chrome.storage.sync, shared by the service worker,
+// content scripts, popup and options page.
+const MZSettings = (() => {
+  const SETTINGS_KEY = "mz-settings";
+
+  const DEFAULTS = {
+    // Request pacing for the background scout queue
+    requestsPerSecond: 4,
+    cacheExpiryDays: 30,
+
+    // Stars -> flags. High potential skills get N green flags, low potential
+    // skills one flag of the given color ("" = no flag).
+    highFlagsByStars: { 1: 0, 2: 1, 3: 2, 4: 3 },
+    lowFlagByStars: { 1: "red", 2: "yellow", 3: "", 4: "" },
+    // "flags" (the site's flag images) or "glyphs" (▲ high, ▼/▽ low)
+    markerStyle: "flags",
+
+    // Training focus scoring (see shared/training.js): bonus for high
+    // potential skills and lower levels, penalty for low potential skills
+    // and skills close to the maximum
+    trainingWeights: {
+      highPotential: 3,
+      lowPotential: 3,
+      nearMax: 2,
+      room: 1,
+    },
+
+    // Position suitability (see shared/positions.js): skill weights per
+    // soccer position, 0-10
+    positionProfiles: {
+      GK: { keeping: 5, playIntelligence: 2, speed: 1, passing: 1 },
+      CB: {
+        tackling: 5,
+        heading: 3,
+        playIntelligence: 3,
+        speed: 2,
+        stamina: 2,
+      },
+      FB: {
+        speed: 4,
+        tackling: 4,
+        stamina: 3,
+        passing: 2,
+        playIntelligence: 2,
+      },
+      DM: { tackling: 4, playIntelligence: 4, passing: 3, stamina: 3 },
+      CM: { passing: 5, playIntelligence: 4, ballControl: 3, stamina: 3 },
+      W: { speed: 5, ballControl: 4, passing: 3, aerialPassing: 2, stamina: 2 },
+      ST: { shooting: 5, ballControl: 3, speed: 3, heading: 2 },
+    },
+
+    // Page types the enhancer runs on (see MZCommon.getPageType)
+    pages: {
+      players: true,
+      transfer: true,
+      youthAcademy: true,
+      youthExchange: true,
+      other: true,
+    },
+
+    // Selector health checks and a debug report on every page (popup)
+    diagnostics: false,
+
+    features: {
+      flags: true,
+      starSummary: true,
+      scoutBadge: true,
+      overview: true,
+      cardToolbar: true,
+      skillHistory: true,
+      trainingFocus: true,
+      notes: true,
+      positionFit: true,
+      lineup: true,
+      compare: true,
+    },
+  };
+
+  // Nested objects are merged one level deep so new defaults show up for
+  // users whose stored settings predate them. The position profiles are
+  // the exception: they are the user's own list, and a position removed
+  // in the options must stay removed.
+  function withDefaults(stored = {}) {
+    const settings = { ...DEFAULTS, ...stored };
+    for (const [key, value] of Object.entries(DEFAULTS)) {
+      if (value && typeof value === "object") {
+        settings[key] = { ...value, ...stored[key] };
+      }
+    }
+    settings.positionProfiles =
+      stored.positionProfiles ?? DEFAULTS.positionProfiles;
+    return settings;
+  }
+
+  async function load() {
+    const { [SETTINGS_KEY]: stored } = await chrome.storage.sync.get(
+      SETTINGS_KEY
+    );
+    return withDefaults(stored);
+  }
+
+  async function update(changes) {
+    const settings = { ...(await load()), ...changes };
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  async function reset() {
+    await chrome.storage.sync.remove(SETTINGS_KEY);
+    return withDefaults();
+  }
+
+  // Calls back with the full, defaulted settings whenever they change
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "sync" || !changes[SETTINGS_KEY]) return;
+      callback(withDefaults(changes[SETTINGS_KEY].newValue));
+    });
+  }
+
+  return { DEFAULTS, withDefaults, load, update, reset, onChange };
+})();
+
+if (typeof module !== "undefined") module.exports = MZSettings;
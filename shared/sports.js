@@ -0,0 +1,104 @@
+// Per-sport knowledge: scout URLs, skill lists and skill table layout.
+// Loaded by both the content scripts and the service worker, so nothing here
+// may touch the DOM at load time.
+const MZSports = (() => {
+  const DEFAULT_SPORT = "soccer";
+
+  // Skill ids (see shared/locales.js) in the order the skill table lists
+  // them; the order is the fallback when a skill name isn't in any dictionary.
+  // Experience and form move with matches, not with training.
+  const SPORTS = {
+    soccer: {
+      skills: [
+        "speed",
+        "stamina",
+        "playIntelligence",
+        "passing",
+        "shooting",
+        "heading",
+        "keeping",
+        "ballControl",
+        "tackling",
+        "aerialPassing",
+        "setPlays",
+        "experience",
+        "form",
+      ],
+      untrainable: ["experience", "form"],
+      maxLevel: 10,
+      // Skill rows: [0]=name, [1]=w7, [2]=w7, [3]=w6
+      flagCellIndexes: [1, 2, 3],
+    },
+    hockey: {
+      skills: [
+        "power",
+        "playIntelligence",
+        "passing",
+        "stickhandling",
+        "checking",
+        "skating",
+        "shooting",
+        "keeping",
+        "endurance",
+        "experience",
+        "form",
+      ],
+      untrainable: ["experience", "form"],
+      maxLevel: 10,
+      flagCellIndexes: [1, 2, 3],
+    },
+  };
+
+  function isSport(sport) {
+    return Object.prototype.hasOwnProperty.call(SPORTS, sport);
+  }
+
+  function getSportConfig(sport) {
+    return SPORTS[isSport(sport) ? sport : DEFAULT_SPORT];
+  }
+
+  function sportFromHref(href) {
+    try {
+      const url = new URL(href, "https://www.managerzone.com/");
+      const sport = url.searchParams.get("sport");
+      return isSport(sport) ? sport : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // The active sport shows up in the page URL, in the scout report links on
+  // player cards, or in any sport-qualified link in the site navigation.
+  function detectSport(doc) {
+    const fromUrl = sportFromHref(doc.location?.href || "");
+    if (fromUrl) return fromUrl;
+
+    const links = doc.querySelectorAll(
+      "a[href*='sub=scout_report'][href*='sport='], a[href*='sport=']"
+    );
+    for (const a of links) {
+      const sport = sportFromHref(a.getAttribute("href"));
+      if (sport) return sport;
+    }
+
+    return DEFAULT_SPORT;
+  }
+
+  const scoutUrl = (pid, sport = DEFAULT_SPORT) =>
+    `https://www.managerzone.com/ajax.php?p=players&sub=scout_report&pid=${pid}&sport=${sport}`;
+
+  // The user's own squad (players page) for a sport
+  const squadUrl = (sport = DEFAULT_SPORT) =>
+    `https://www.managerzone.com/?p=players&sport=${sport}`;
+
+  return {
+    DEFAULT_SPORT,
+    isSport,
+    getSportConfig,
+    detectSport,
+    scoutUrl,
+    squadUrl,
+  };
+})();
+
+if (typeof module !== "undefined") module.exports = MZSports;
@@ -0,0 +1,68 @@
+// Training focus recommender: ranks a player's trainable skills using the
+// scout report's potentials and the current skill levels. No DOM or
+// storage access; the weights come from the settings (trainingWeights).
+const MZTraining = (() => {
+  // Levels this close to the sport's maximum count as nearly maxed out
+  const NEAR_MAX_RANGE = 3;
+
+  // Score one skill; returns the score and the parts it is made of, so the
+  // UI can explain a suggestion
+  function scoreSkill(level, potential, weights, maxLevel) {
+    const reasons = [];
+    let score = 0;
+    const add = (label, value) => {
+      if (!value) return;
+      score += value;
+      reasons.push({ label, value });
+    };
+
+    // Lower skills have more room to grow
+    add("room to grow", weights.room * ((maxLevel - level) / maxLevel));
+
+    // More stars on the highest list weigh more; fewer on the lowest list
+    // weigh more. Unknown star counts count half.
+    if (potential?.kind === "high") {
+      const factor = potential.stars ? potential.stars / 4 : 0.5;
+      add("high potential", weights.highPotential * factor);
+    } else if (potential?.kind === "low") {
+      const factor = potential.stars ? (5 - potential.stars) / 4 : 0.5;
+      add("low potential", -weights.lowPotential * factor);
+    }
+
+    const closeness = Math.max(0, level - (maxLevel - NEAR_MAX_RANGE));
+    add("near max", -weights.nearMax * (closeness / NEAR_MAX_RANGE));
+
+    return { score, reasons };
+  }
+
+  // levels: Map id -> level, potentials: Map id -> { kind, stars } (see
+  // MZCommon.getPotentialById). Best suggestion first; maxed out and
+  // untrainable skills are left out.
+  function rankSkills({ sport, levels, potentials = new Map(), weights }) {
+    const { skills, untrainable, maxLevel } = MZSports.getSportConfig(sport);
+    return skills
+      .filter((id) => !untrainable.includes(id) && levels.has(id))
+      .filter((id) => levels.get(id) < maxLevel)
+      .map((id) => ({
+        id,
+        level: levels.get(id),
+        potential: potentials.get(id) || null,
+        ...scoreSkill(levels.get(id), potentials.get(id), weights, maxLevel),
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // "high potential +3.0, near max -1.3"
+  function describeReasons(reasons) {
+    return reasons
+      .map(
+        ({ label, value }) =>
+          `${label} ${value > 0 ? "+" : ""}${value.toFixed(1)}`
+      )
+      .join(", ");
+  }
+
+  return { rankSkills, describeReasons };
+})();
+
+if (typeof module !== "undefined") module.exports = MZTraining;
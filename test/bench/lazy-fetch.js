@@ -0,0 +1,138 @@
+// Benchmark for viewport-driven fetching and diffed flag writes: a squad
+// page of 300 players, 10 of them on screen, loaded with the content
+// scripts before that change and with the working tree.
+//
+//   npm run bench [-- <revision to compare against>]
+//
+// Reports the ManagerZone requests queued by loading the page, how long
+// the on-screen cards take to get their flags and how many flag cells are
+// written again when an unrelated setting changes. The background is the
+// working tree's in both runs, at the default pace of 4 requests/sec.
+const { execFileSync } = require("node:child_process");
+const { JSDOM } = require("jsdom");
+const {
+  ROOT,
+  fixture,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("../helpers/extension");
+
+const CARDS = Number(process.env.MZ_BENCH_CARDS) || 300;
+const ON_SCREEN = 10;
+const SETTLE_MS = 3000;
+const URL = "https://www.managerzone.com/?p=players&sport=soccer";
+
+// The squad fixture with its first card copied CARDS times
+function largeSquadPage() {
+  const dom = new JSDOM(fixture("squad.html"));
+  const { document } = dom.window;
+  const cards = document.querySelectorAll(".playerContainer");
+  const template = cards[0].outerHTML;
+  const list = cards[0].parentElement;
+  cards.forEach((card) => card.remove());
+  for (let i = 0; i < CARDS; i++) {
+    const pid = String(100000 + i);
+    list.insertAdjacentHTML(
+      "beforeend",
+      template.replaceAll("1001", pid).replace("Erik Larsson", `Player ${i}`)
+    );
+  }
+  return dom.serialize();
+}
+
+function revisionBeforeLazyFetching() {
+  const [commit] = execFileSync(
+    "git",
+    ["log", "--format=%H", "--grep=^\\[user-019\\] Fetch", "-n", "1"],
+    { cwd: ROOT, encoding: "utf8" }
+  ).split("\n");
+  if (!commit) throw new Error("Commit introducing lazy fetching not found");
+  return `${commit}^`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function run(label, html, revision) {
+  const background = loadBackground({
+    responses: { "*": { body: fixture("scout-report.html") } },
+  });
+  const MZQueue = background.get("MZQueue");
+  const started = Date.now();
+  const page = loadPage(html, { url: URL, background, revision });
+  const { document } = page;
+
+  // Flag cells written, counted from here on
+  let flagWrites = 0;
+  new page.window.MutationObserver((records) => {
+    for (const record of records) {
+      const nodes = [...record.addedNodes, ...record.removedNodes];
+      flagWrites += nodes.filter(
+        (node) =>
+          node.nodeType === 1 &&
+          node.matches(".mz-potential-flag, .mz-flag-label")
+      ).length;
+    }
+  }).observe(document.body, { childList: true, subtree: true });
+
+  const cards = [...document.querySelectorAll(".playerContainer")];
+  const onScreen = cards.slice(0, ON_SCREEN);
+  page.intersect(onScreen);
+
+  await waitFor(
+    () =>
+      onScreen.every((card) => card.querySelector(".mz-potential-flag")) ||
+      (page.intersect(onScreen), false),
+    { timeout: 60000, interval: 20 }
+  );
+  const onScreenMs = Date.now() - started;
+
+  await sleep(SETTLE_MS);
+  const state = MZQueue.getQueueState();
+  const queued =
+    background.fetched.length + state.inFlight + state.pending.length;
+
+  // An unrelated setting changes; flags already on the cards stay put
+  flagWrites = 0;
+  await background.storage.sync.set({
+    "mz-settings": { features: { lineup: false } },
+  });
+  await sleep(500);
+
+  page.close();
+  return {
+    label,
+    queued,
+    fetchedSoFar: background.fetched.length,
+    onScreenMs,
+    flagWritesOnSettingsChange: flagWrites,
+  };
+}
+
+async function main() {
+  const before = process.argv[2] || revisionBeforeLazyFetching();
+  const html = largeSquadPage();
+  // A discarded first run warms up the JIT and jsdom; the old version
+  // leaves most of the squad queued, so it runs last
+  await run("warm-up", html, null);
+  const results = [
+    await run("working tree", html, null),
+    await run(`before (${before})`, html, before),
+  ];
+
+  console.log(
+    `${CARDS} cards, ${ON_SCREEN} on screen, measured ${SETTLE_MS} ms after load`
+  );
+  console.table(
+    Object.fromEntries(results.map(({ label, ...result }) => [label, result]))
+  );
+}
+
+// Queued requests would keep the process alive
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
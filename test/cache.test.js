@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  createClock,
+  loadBackground,
+} = require("./helpers/extension");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function setup() {
+  const clock = createClock();
+  const background = loadBackground({ clock });
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  return {
+    clock,
+    background,
+    report,
+    MZCache: background.get("MZCache"),
+    stored: background.storage.local.data,
+  };
+}
+
+test("stores complete reports per sport and returns when they were cached", async () => {
+  const { clock, report, MZCache, stored } = setup();
+
+  await MZCache.setCachedScoutData("1001", "soccer", report, "Erik Larsson");
+
+  const cached = plain(await MZCache.getCachedScoutData("1001", "soccer"));
+  assert.deepEqual(cached, { ...report, cachedAt: clock.now() });
+  assert.equal(await MZCache.getCachedScoutData("1001", "hockey"), null);
+  assert.equal(stored["mz-scout-v2-soccer-1001"].playerName, "Erik Larsson");
+});
+
+test("refuses incomplete reports", async () => {
+  const { report, MZCache, stored } = setup();
+
+  await assert.rejects(
+    MZCache.setCachedScoutData("1001", "soccer", { ...report, lowest: [] })
+  );
+  assert.deepEqual(Object.keys(stored), []);
+});
+
+test("drops reports once they expire", async () => {
+  const { clock, report, MZCache, stored } = setup();
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+
+  clock.advance(29 * DAY_MS);
+  assert.ok(await MZCache.getCachedScoutData("1001", "soccer"));
+
+  clock.advance(2 * DAY_MS);
+  assert.equal(await MZCache.getCachedScoutData("1001", "soccer"), null);
+  assert.equal(stored["mz-scout-v2-soccer-1001"], undefined);
+});
+
+test("evicts the least recently used reports beyond the entry budget", async () => {
+  const { clock, report, MZCache, stored } = setup();
+  const { maxEntries } = await MZCache.getCacheStats();
+
+  // A full cache, oldest access first
+  for (let pid = 1; pid <= maxEntries; pid++) {
+    stored[`mz-scout-v2-soccer-${pid}`] = {
+      scoutData: report,
+      playerName: null,
+      expires: clock.now() + DAY_MS,
+      cached: clock.now() - DAY_MS,
+      lastAccess: clock.now() - DAY_MS + pid,
+    };
+  }
+  await MZCache.setCachedScoutData("99999", "soccer", report);
+
+  const { totalCached } = await MZCache.getCacheStats();
+  assert.equal(totalCached, maxEntries);
+  assert.equal(stored["mz-scout-v2-soccer-1"], undefined);
+  assert.ok(stored["mz-scout-v2-soccer-2"]);
+  assert.ok(stored["mz-scout-v2-soccer-99999"]);
+});
+
+test("reads only its own keys, not notes or skill history", async () => {
+  const { background, report, MZCache, stored } = setup();
+  stored["mz-notes-v1-soccer-1001"] = { text: "Sell", tags: [] };
+  stored["mz-history-v1-soccer-1001"] = [{ levels: { speed: 5 } }];
+
+  const { local } = background.storage;
+  const requested = [];
+  const get = local.get;
+  local.get = (keys) => {
+    requested.push(keys);
+    return get.call(local, keys);
+  };
+
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+  await MZCache.getCacheStats();
+  await MZCache.clearScoutCache();
+
+  assert.ok(requested.every((keys) => keys != null));
+  assert.ok(
+    requested.flat().every((key) => key.startsWith("mz-scout-")),
+    "only cache keys"
+  );
+  assert.ok(stored["mz-notes-v1-soccer-1001"]);
+  assert.ok(stored["mz-history-v1-soccer-1001"]);
+});
+
+test("exports and imports, keeping the more recent report", async () => {
+  const { clock, report, MZCache } = setup();
+  await MZCache.setCachedScoutData("1001", "soccer", report, "Erik Larsson");
+  const exported = plain(await MZCache.exportEntries());
+
+  await MZCache.clearScoutCache();
+  assert.deepEqual(plain(await MZCache.importEntries(exported)), {
+    imported: 1,
+    skipped: 0,
+    expired: 0,
+    invalid: 0,
+  });
+
+  // Same file again: nothing newer in it
+  const again = plain(await MZCache.importEntries(exported));
+  assert.equal(again.imported, 0);
+  assert.equal(again.skipped, 1);
+
+  clock.advance(31 * DAY_MS);
+  const late = plain(await MZCache.importEntries(exported));
+  assert.equal(late.expired, 1);
+
+  await assert.rejects(MZCache.importEntries({ entries: [] }));
+});
+
+test("migrates legacy page localStorage entries", async () => {
+  const { clock, report, MZCache, stored } = setup();
+  const { highest, lowest, starsHigh, starsLow } = report;
+  const legacy = JSON.stringify({
+    scoutData: { highest, lowest, starsHigh, starsLow },
+    expires: clock.now() + DAY_MS,
+    cached: clock.now(),
+  });
+
+  const migrated = await MZCache.migrateLegacyEntries({
+    "mz-scout-v1-1001": legacy,
+    "mz-scout-v1-hockey-2001": legacy,
+    "mz-scout-v1-3001": "{not json",
+  });
+
+  assert.equal(migrated, 2);
+  assert.equal(stored["mz-scout-v2-soccer-1001"].scoutData.modelVersion, 1);
+  assert.ok(stored["mz-scout-v2-hockey-2001"]);
+});
+
+test("moves entries stored under v1 keys to current ones", async () => {
+  const { clock, report, MZCache, stored } = setup();
+  const entry = {
+    scoutData: report,
+    expires: clock.now() + DAY_MS,
+    cached: clock.now(),
+  };
+  stored["mz-scout-v1-1001"] = entry;
+  stored["mz-scout-v1-hockey-2001"] = entry;
+  stored["mz-notes-v1-soccer-1001"] = { text: "Keep", tags: [] };
+
+  assert.equal(await MZCache.migrateStoredEntries(), 2);
+  assert.deepEqual(Object.keys(stored).sort(), [
+    "mz-notes-v1-soccer-1001",
+    "mz-scout-v2-hockey-2001",
+    "mz-scout-v2-soccer-1001",
+  ]);
+});
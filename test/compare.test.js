@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+test("compares two picked cards row by row", async (t) => {
+  const background = loadBackground();
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await background.get("MZCache").setCachedScoutData("1001", "soccer", report);
+
+  const page = loadPage(fixture("squad.html"), {
+    url: "https://www.managerzone.com/?p=players&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const picks = () => document.querySelectorAll(".mz-compare-pick input");
+  await waitFor(() => assert.equal(picks().length, 3));
+
+  for (const box of [...picks()].slice(0, 2)) {
+    box.checked = true;
+    box.dispatchEvent(new page.window.Event("change"));
+  }
+  await waitFor(() =>
+    assert.match(
+      document.querySelector(".mz-compare-bar").textContent,
+      /^2 of 4 picked/
+    )
+  );
+  document.querySelector(".mz-compare-bar button").click();
+
+  const row = (label) =>
+    Array.from(document.querySelectorAll(".mz-compare-table tr"))
+      .find((tr) => tr.firstChild.textContent === label)
+      ?.querySelectorAll("td");
+  await waitFor(() => assert.ok(row("Speed")));
+
+  const names = document.querySelectorAll(".mz-compare-table thead th");
+  assert.deepEqual(
+    Array.from(names, (th) => th.textContent),
+    ["", "Erik Larsson", "Jonas Berg"]
+  );
+  const [erik, jonas] = row("Speed");
+  assert.equal(erik.textContent, "7 ▲★★★★");
+  assert.ok(erik.classList.contains("is-best"));
+  assert.ok(jonas.classList.contains("is-worst"));
+  // Only Erik has a report
+  assert.deepEqual(
+    Array.from(row("High ★"), (td) => td.textContent),
+    ["4", "–"]
+  );
+});
@@ -0,0 +1,250 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+const SITE = "https://www.managerzone.com/";
+
+// Background answering every scout request with the English report
+function setup() {
+  const background = loadBackground({
+    responses: { "*": { body: fixture("scout-report.html") } },
+  });
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  return { background, report, MZCache: background.get("MZCache") };
+}
+
+const cardOf = (document, pid) =>
+  document.getElementById(`player_id_${pid}`).closest(".playerContainer");
+
+const statusOf = (card) =>
+  card.querySelector(".mz-scout-status")?.textContent ?? null;
+
+// Markers in a card's skill row, e.g. ["flags:green", "flags:green", ...]
+function flagsOf(card, skill) {
+  const row = Array.from(card.querySelectorAll(".player_skills tr")).find(
+    (tr) => tr.querySelector(".clippable")?.textContent === skill
+  );
+  return Array.from(row.querySelectorAll(".mz-potential-flag")).map(
+    (flag) => flag.dataset.flag
+  );
+}
+
+test("squad page: cached reports at once, the rest once scrolled near", async (t) => {
+  const { background, report, MZCache } = setup();
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+
+  const page = loadPage(fixture("squad.html"), {
+    url: `${SITE}?p=players&sport=soccer`,
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const [cached, unseen, noLink] = ["1001", "1002", "1003"].map((pid) =>
+    cardOf(document, pid)
+  );
+
+  await waitFor(() => assert.equal(statusOf(cached), "Scout flags added"));
+  assert.equal(flagsOf(cached, "Speed").length, 3);
+  assert.match(flagsOf(cached, "Speed")[0], /green$/);
+  assert.match(flagsOf(cached, "Heading")[0], /(yellow|red)$/);
+  assert.deepEqual(flagsOf(cached, "Stamina"), []);
+
+  await waitFor(() => assert.equal(statusOf(unseen), "Scout on scroll"));
+  assert.deepEqual(background.fetched, []);
+
+  page.intersect([unseen]);
+  await waitFor(() => assert.equal(statusOf(unseen), "Scout flags added"));
+  assert.equal(background.fetched.length, 1);
+  assert.match(background.fetched[0], /pid=1002/);
+  assert.equal(flagsOf(unseen, "Ball Control").length, 3);
+
+  // Without a scout link there is nothing to fetch
+  assert.equal(noLink.querySelector(".mz-potential-flag"), null);
+});
+
+test("squad page: re-rendered skill tables get their flags back", async (t) => {
+  const { background, report, MZCache } = setup();
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+
+  const page = loadPage(fixture("squad.html"), {
+    url: `${SITE}?p=players&sport=soccer`,
+    background,
+  });
+  t.after(page.close);
+  const card = cardOf(page.document, "1001");
+  await waitFor(() => assert.equal(flagsOf(card, "Speed").length, 3));
+
+  // The game swaps the table for a fresh copy, e.g. after training
+  const table = card.querySelector(".player_skills");
+  const fresh = table.cloneNode(true);
+  fresh.querySelectorAll("[class*='mz-']").forEach((el) => el.remove());
+  table.replaceWith(fresh);
+
+  await waitFor(() => assert.equal(flagsOf(card, "Speed").length, 3));
+});
+
+test("card changes: one report per frame, our own writes left out", async (t) => {
+  const page = loadPage(fixture("squad.html"), {
+    url: `${SITE}?p=players&sport=soccer`,
+    background: setup().background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const changes = [];
+  page.get("MZCommon").onCardsChanged((change) => changes.push(change));
+  const [first, second] = ["1001", "1002"].map((pid) => cardOf(document, pid));
+  await waitFor(() => assert.ok(first.querySelector(".mz-scout-status")));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  changes.length = 0;
+
+  // Sorting only moves cards; badges and toolbars are ours
+  first.parentElement.append(first);
+  const ours = document.createElement("div");
+  ours.id = "mz-test-panel";
+  ours.innerHTML = `<a href="?pid=1001">ours</a>`;
+  document.body.append(ours);
+  second.classList.add("mz-card-hidden");
+  second.querySelector("h2").append(document.createElement("span"));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(
+    changes.map(({ added, removed, changed, nodes }) => ({
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      nodes: nodes.length,
+    })),
+    [{ added: 0, removed: 0, changed: 1, nodes: 0 }],
+    "a page change inside a card we hid still counts"
+  );
+  changes.length = 0;
+
+  const copy = second.cloneNode(true);
+  copy.id = "copy";
+  second.remove();
+  const news = document.createElement("p");
+  document.body.append(copy, news);
+  await waitFor(() => assert.equal(changes.length, 1));
+  const [{ added, removed, changed, nodes }] = changes;
+  assert.deepEqual([...added], [copy]);
+  assert.deepEqual([...removed], [second]);
+  assert.deepEqual([...changed], []);
+  assert.deepEqual([...nodes], [news], "the card itself is in `added`");
+});
+
+test("squad page: ages behind Swedish labels", async (t) => {
+  const page = loadPage(
+    fixture("squad.html")
+      .replace('lang="en"', 'lang="sv"')
+      .replaceAll("Age:", "Ålder:"),
+    { url: `${SITE}?p=players&sport=soccer`, background: setup().background }
+  );
+  t.after(page.close);
+  const { getPlayerAge } = page.get("MZCommon");
+
+  assert.equal(getPlayerAge(cardOf(page.document, "1001")), 19);
+  assert.equal(getPlayerAge(cardOf(page.document, "1002")), 23);
+});
+
+test("transfer market: star summary and flags on results", async (t) => {
+  const { background } = setup();
+
+  const page = loadPage(fixture("transfer.html"), {
+    url: `${SITE}?p=transfer&sport=soccer`,
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const [full, compact] = document.querySelectorAll(
+    "#players_container .playerContainer"
+  );
+
+  await waitFor(() =>
+    assert.equal(
+      full.querySelector(".mz-scout-stars")?.textContent,
+      "▲★★★★ ▼★★"
+    )
+  );
+  assert.equal(flagsOf(full, "Speed").length, 3);
+
+  // Compact rows only have room for the summary
+  await waitFor(() => assert.ok(compact.querySelector(".mz-scout-stars")));
+  assert.equal(compact.querySelector(".mz-potential-flag"), null);
+  assert.equal(background.fetched.length, 2);
+
+  // Shared with the comparison overlay
+  const { processedPlayers } = page.get("MZCommon");
+  assert.deepEqual([...processedPlayers.keys()].sort(), ["2001", "2002"]);
+});
+
+test("youth academy: prospects with and without a player id", async (t) => {
+  const { background } = setup();
+
+  const page = loadPage(fixture("youth-academy.html"), {
+    url: `${SITE}?p=youth_academy&sport=soccer`,
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const signed = cardOf(document, "3001");
+  const unsigned = document.querySelector(
+    ".youth_academy_player:not(:has(#player_id_3001))"
+  );
+
+  await waitFor(() => assert.equal(statusOf(signed), "Scout flags added"));
+  assert.equal(flagsOf(signed, "Speed").length, 3);
+  await waitFor(() => assert.equal(statusOf(unsigned), "No report available"));
+  assert.equal(background.fetched.length, 1);
+  assert.ok(page.get("MZCommon").processedPlayers.has("3001"));
+});
+
+test("notes: edits elsewhere show up, own additions are not page changes", async (t) => {
+  const { background } = setup();
+  const MZNotes = background.get("MZNotes");
+  await MZNotes.setNote("1001", "soccer", {
+    tags: [{ label: "Keep", color: "green" }],
+  });
+
+  const page = loadPage(fixture("squad.html"), {
+    url: `${SITE}?p=players&sport=soccer`,
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const card = cardOf(document, "1001");
+  const tagsOf = (root) =>
+    Array.from(root.querySelectorAll(".mz-tag")).map((tag) => tag.textContent);
+
+  await waitFor(() => assert.deepEqual(tagsOf(card), ["Keep"]));
+  const summary = card.querySelector(".mz-card-notes");
+
+  // Scout statuses, flags etc. keep landing in the card meanwhile
+  await waitFor(() => assert.ok(card.querySelector(".mz-scout-status")));
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(card.querySelector(".mz-card-notes"), summary, "not redrawn");
+
+  // Saved from the popup or another tab
+  await MZNotes.setNote("1001", "soccer", {
+    tags: [{ label: "Sell", color: "red" }],
+  });
+  await waitFor(() => assert.deepEqual(tagsOf(card), ["Sell"]));
+
+  // Player links outside cards, added by the page later
+  const news = document.createElement("p");
+  news.innerHTML = `<a href="?p=players&amp;pid=1001">Erik Larsson</a> scored`;
+  document.body.appendChild(news);
+  await waitFor(() => assert.deepEqual(tagsOf(news), ["Sell"]));
+
+  await MZNotes.setNote("1001", "soccer", { tags: [] });
+  await waitFor(() => assert.deepEqual(tagsOf(news), []));
+  assert.deepEqual(tagsOf(card), []);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+test("checks the page's selectors and outlines the cards they fail on", async (t) => {
+  const background = loadBackground({
+    responses: { "*": { body: fixture("scout-report.html") } },
+  });
+  await background.storage.sync.set({ "mz-settings": { diagnostics: true } });
+
+  const page = loadPage(fixture("squad.html"), {
+    url: "https://www.managerzone.com/?p=players&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const { document } = page;
+  const checks = () =>
+    Array.from(
+      document.querySelectorAll("#mz-diagnostics li"),
+      (item) => item.textContent
+    );
+
+  await waitFor(() => assert.ok(checks().includes("✔ Player cards: 3/3")));
+  assert.ok(checks().includes("✔ Skills table: 3/3"));
+  assert.ok(checks().includes("✘ Scout report link: 2/3"));
+
+  // Player 1003 has no scout link
+  const outlined = document.querySelector(".mz-diag-fail");
+  assert.equal(outlined.getAttribute("data-mz-diag"), "Scout report link");
+  assert.ok(outlined.querySelector("#player_id_1003"));
+});
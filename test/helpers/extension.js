@@ -0,0 +1,415 @@
+// Test harness: runs the extension's scripts the way the browser does -
+// plain scripts sharing one global scope, in manifest / importScripts
+// order - against an in-memory chrome API, a DOM from jsdom and canned
+// ManagerZone responses.
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { execFileSync } = require("node:child_process");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const readSource = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+const fixture = (name) => readSource(`test/fixtures/${name}`);
+
+// Sources as of a git revision (for benchmarks against an older version),
+// the working tree without one
+function sourceReader(revision) {
+  if (!revision) return readSource;
+  return (file) =>
+    execFileSync("git", ["show", `${revision}:${file}`], {
+      cwd: ROOT,
+      encoding: "utf8",
+    });
+}
+
+const contentScripts = (read) =>
+  JSON.parse(read("manifest.json")).content_scripts[0].js;
+
+// Offscreen document scripts, from offscreen.html
+const OFFSCREEN_SCRIPTS = [
+  ...readSource("offscreen.html").matchAll(/<script src="([^"]+)"/g),
+].map(([, file]) => file);
+
+// Values from another context (vm, jsdom) as plain objects of this one,
+// so deepStrictEqual doesn't trip over their foreign prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Lets pending promise chains (storage, messaging) run to completion
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function settleAll(rounds = 20) {
+  for (let i = 0; i < rounds; i++) await settle();
+}
+
+// ---- chrome.* ----
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => {
+      const index = listeners.indexOf(fn);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    emit: (...args) => listeners.forEach((fn) => fn(...args)),
+  };
+}
+
+// One chrome.storage area; values are copied in and out like the real one
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+  const copy = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  const keysOf = (keys) => {
+    if (keys == null) return Object.keys(data);
+    if (typeof keys === "string") return [keys];
+    if (Array.isArray(keys)) return keys;
+    return Object.keys(keys);
+  };
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length) {
+      queueMicrotask(() => onChanged.emit(changes, areaName));
+    }
+  };
+
+  return {
+    data,
+    async get(keys) {
+      const result = {};
+      for (const key of keysOf(keys)) {
+        if (key in data) result[key] = copy(data[key]);
+        else if (keys && typeof keys === "object" && !Array.isArray(keys)) {
+          result[key] = keys[key];
+        }
+      }
+      return result;
+    },
+    async getKeys() {
+      return Object.keys(data);
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: copy(data[key]), newValue: copy(value) };
+        data[key] = copy(value);
+      }
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const key of typeof keys === "string" ? [keys] : keys) {
+        if (!(key in data)) continue;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      notify(changes);
+    },
+    async clear() {
+      await this.remove(Object.keys(data));
+    },
+  };
+}
+
+// Storage is shared by every context of the extension; messaging is wired
+// between them by the loaders below
+function createChromeStorage() {
+  const onChanged = createEvent();
+  return {
+    onChanged,
+    local: createStorageArea("local", onChanged),
+    sync: createStorageArea("sync", onChanged),
+  };
+}
+
+// The API surface one extension context sees. `sendMessage` is where the
+// message goes (the background, the offscreen document).
+function createChrome(storage, sendMessage) {
+  return {
+    storage,
+    runtime: {
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      sendMessage: (message) => sendMessage(message),
+      getContexts: async () => [{ contextType: "OFFSCREEN_DOCUMENT" }],
+      openOptionsPage: () => {},
+    },
+    offscreen: { createDocument: async () => {} },
+    contextMenus: {
+      create: () => {},
+      removeAll: (callback) => callback?.(),
+      onClicked: createEvent(),
+    },
+    tabs: {
+      query: async () => [],
+      sendMessage: async () => undefined,
+    },
+  };
+}
+
+// Delivers a message to a context's onMessage listeners the way Chrome
+// does: the first listener to answer wins, `return true` answers later
+function dispatch(chromeApi, message, sender = {}) {
+  return new Promise((resolve) => {
+    let answered = false;
+    const sendResponse = (response) => {
+      if (answered) return;
+      answered = true;
+      resolve(response);
+    };
+    const async = chromeApi.runtime.onMessage.listeners
+      .map((listener) => listener(message, sender, sendResponse))
+      .some((result) => result === true);
+    if (!async && !answered) resolve(undefined);
+  });
+}
+
+// ---- Time ----
+// Manual clock for the background context, so pacing, backoff and expiry
+// run instantly and deterministically
+function createClock(start = Date.UTC(2026, 9, 1, 12)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  class FakeDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [now]));
+    }
+    static now() {
+      return now;
+    }
+  }
+
+  const clock = {
+    Date: FakeDate,
+    now: () => now,
+    setTimeout(fn, ms = 0) {
+      const id = nextId++;
+      timers.set(id, { at: now + Math.max(0, ms), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advance(ms) {
+      now += ms;
+    },
+    // Runs timers in time order, letting promise chains settle in between
+    async run({ maxTimers = 1000 } = {}) {
+      await settleAll();
+      for (let i = 0; i < maxTimers && timers.size; i++) {
+        const [id, timer] = [...timers].reduce((a, b) =>
+          b[1].at < a[1].at ? b : a
+        );
+        timers.delete(id);
+        now = Math.max(now, timer.at);
+        timer.fn();
+        await settleAll();
+      }
+    },
+  };
+  return clock;
+}
+
+// ---- Contexts ----
+function runScripts(context, files, read = readSource) {
+  for (const file of files) {
+    vm.runInContext(read(file), context, { filename: file });
+  }
+}
+
+// Offscreen document: the parser in a real DOM
+function loadOffscreen(storage) {
+  const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    runScripts: "outside-only",
+  });
+  const chromeApi = createChrome(storage, async () => undefined);
+  dom.window.chrome = chromeApi;
+  dom.window.console = quietConsole();
+  runScripts(dom.getInternalVMContext(), OFFSCREEN_SCRIPTS);
+  return {
+    window: dom.window,
+    chrome: chromeApi,
+    get: (name) => dom.window.eval(name),
+  };
+}
+
+// Console that keeps the extension's logs out of the test output; set
+// MZ_TEST_LOGS=1 to see them
+function quietConsole() {
+  if (process.env.MZ_TEST_LOGS) return console;
+  const noop = () => {};
+  return { log: noop, info: noop, warn: noop, error: noop, debug: noop };
+}
+
+// Service worker with its own global scope. `responses` maps URLs to
+// { status, body, headers } or a function of the URL; `clock` replaces
+// the timers and Date.
+function loadBackground({
+  storage = createChromeStorage(),
+  responses = {},
+  clock = null,
+} = {}) {
+  const offscreen = loadOffscreen(storage);
+  const fetched = [];
+
+  async function fetchStub(url) {
+    fetched.push(url);
+    let response = responses[url] ?? responses["*"];
+    if (typeof response === "function") response = response(url);
+    // Rejects like fetch does, with the service worker's own TypeError
+    if (!response) {
+      throw new (vm.runInContext("TypeError", context))("Failed to fetch");
+    }
+    const { status = 200, body = "", headers = {} } = response;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      text: async () => body,
+    };
+  }
+
+  const chromeApi = createChrome(storage, (message) =>
+    message?.target === "offscreen"
+      ? dispatch(offscreen.chrome, message)
+      : dispatch(chromeApi, message)
+  );
+
+  const sandbox = {
+    chrome: chromeApi,
+    fetch: fetchStub,
+    console: quietConsole(),
+    setTimeout: clock ? clock.setTimeout : setTimeout,
+    clearTimeout: clock ? clock.clearTimeout : clearTimeout,
+    queueMicrotask,
+    URL,
+    URLSearchParams,
+  };
+  if (clock) sandbox.Date = clock.Date;
+  sandbox.importScripts = (...files) => runScripts(context, files);
+  const context = vm.createContext(sandbox);
+  runScripts(context, ["background.js"]);
+
+  return {
+    chrome: chromeApi,
+    storage,
+    offscreen,
+    fetched,
+    get: (name) => vm.runInContext(name, context),
+    // What a content script or the popup gets back for a message
+    send: (message) => dispatch(chromeApi, message),
+  };
+}
+
+// Minimal IntersectionObserver (jsdom has no layout): tests decide what
+// is near the viewport with `intersect`
+function installIntersectionObserver(window) {
+  const observers = new Set();
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      observers.add(this);
+    }
+    observe(target) {
+      this.targets.add(target);
+    }
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+    disconnect() {
+      this.targets.clear();
+    }
+  };
+  return function intersect(targets) {
+    for (const observer of observers) {
+      const entries = targets
+        .filter((target) => observer.targets.has(target))
+        .map((target) => ({ target, isIntersecting: true }));
+      if (entries.length) observer.callback(entries, observer);
+    }
+  };
+}
+
+// A ManagerZone page with every content script loaded, talking to
+// `background` (see loadBackground) for the cache and the queue.
+// `revision` loads the content scripts as of that git revision.
+function loadPage(html, { url, background, revision } = {}) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  // Replies still on their way when the page closes never arrive, as with
+  // a tab that navigated away
+  let closed = false;
+  const onChanged = createEvent();
+  background.storage.onChanged.addListener(onChanged.emit);
+  const storage = { ...background.storage, onChanged };
+  const chromeApi = createChrome(storage, (message) =>
+    closed
+      ? new Promise(() => {})
+      : background
+          .send(message)
+          .then((response) => (closed ? new Promise(() => {}) : response))
+  );
+  window.chrome = chromeApi;
+  window.console = quietConsole();
+  const intersect = installIntersectionObserver(window);
+  const read = sourceReader(revision);
+  runScripts(dom.getInternalVMContext(), contentScripts(read), read);
+
+  return {
+    window,
+    document: window.document,
+    chrome: chromeApi,
+    intersect,
+    get: (name) => window.eval(name),
+    close: () => {
+      closed = true;
+      background.storage.onChanged.removeListener(onChanged.emit);
+      // close() empties the body, which our observers see and answer with
+      // a frame that would run after jsdom stopped the page's timers
+      window.requestAnimationFrame = () => 0;
+      window.close();
+    },
+  };
+}
+
+// Polls until `check` passes (content scripts debounce with real timers)
+async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const result = check();
+      if (result !== false) return result;
+    } catch (error) {
+      if (Date.now() - started > timeout) throw error;
+    }
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out after ${timeout} ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = {
+  ROOT,
+  fixture,
+  plain,
+  settle,
+  settleAll,
+  createChromeStorage,
+  createClock,
+  loadOffscreen,
+  loadBackground,
+  loadPage,
+  waitFor,
+};
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  createClock,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+const SITE = "https://www.managerzone.com/";
+const HOUR_MS = 60 * 60 * 1000;
+
+test("records a snapshot only when the levels change", async () => {
+  const clock = createClock();
+  const MZHistory = loadBackground({ clock }).get("MZHistory");
+
+  await MZHistory.recordSnapshot("1001", "soccer", { levels: { speed: 5 } });
+  clock.advance(HOUR_MS);
+  const seen = await MZHistory.recordSnapshot("1001", "soccer", {
+    levels: { speed: 5 },
+  });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].seen, clock.now());
+
+  const trained = await MZHistory.recordSnapshot("1001", "soccer", {
+    levels: { speed: 6 },
+  });
+  assert.equal(trained.length, 2);
+});
+
+test("evicts the players seen least recently beyond the budget", async () => {
+  const clock = createClock();
+  const background = loadBackground({ clock });
+  const MZHistory = background.get("MZHistory");
+  const stored = background.storage.local.data;
+
+  for (let pid = 1; pid <= MZHistory.MAX_PLAYERS + 1; pid++) {
+    clock.advance(HOUR_MS);
+    await MZHistory.recordSnapshot(String(pid), "soccer", {
+      levels: { speed: 5 },
+    });
+  }
+
+  assert.equal(stored["mz-history-v1-soccer-1"], undefined);
+  assert.ok(stored["mz-history-v1-soccer-2"]);
+  assert.equal(
+    Object.keys(stored).filter((key) => key.startsWith("mz-history-v1-"))
+      .length,
+    MZHistory.MAX_PLAYERS
+  );
+});
+
+test("reads only history keys when checking the budget", async () => {
+  const background = loadBackground();
+  const MZHistory = background.get("MZHistory");
+  const { local } = background.storage;
+  local.data["mz-notes-v1-soccer-1001"] = { text: "Sell", tags: [] };
+
+  const requested = [];
+  const get = local.get;
+  local.get = (keys) => {
+    requested.push(keys);
+    return get.call(local, keys);
+  };
+  await MZHistory.recordSnapshot("1001", "soccer", { levels: { speed: 5 } });
+
+  assert.ok(requested.every((keys) => keys != null));
+  assert.ok(
+    [requested].flat(2).every((key) => key.startsWith("mz-history-v1-"))
+  );
+});
+
+test("records the own squad only", async (t) => {
+  const pages = {
+    own: `${SITE}?p=players&sport=soccer`,
+    otherTeam: `${SITE}?p=players&tid=4242&sport=soccer`,
+  };
+  const recorded = {};
+  for (const [name, url] of Object.entries(pages)) {
+    const background = loadBackground();
+    const page = loadPage(fixture("squad.html"), { url, background });
+    t.after(page.close);
+    // Let the page handle its cards before counting
+    await waitFor(() => page.document.querySelector(".mz-scout-status"));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    recorded[name] = Object.keys(background.storage.local.data).filter((key) =>
+      key.startsWith("mz-history-v1-")
+    );
+  }
+
+  assert.deepEqual(recorded.own.sort(), [
+    "mz-history-v1-soccer-1001",
+    "mz-history-v1-soccer-1002",
+    "mz-history-v1-soccer-1003",
+  ]);
+  assert.deepEqual(recorded.otherTeam, []);
+});
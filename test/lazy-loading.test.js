@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+const SQUAD_URL = "https://www.managerzone.com/?p=players&sport=soccer";
+
+// Squad page with 1001 cached, 1002 waiting to scroll near (unscouted,
+// as it turns out) and 1003 without a scout link
+async function setup(t) {
+  const background = loadBackground({
+    responses: {
+      "*": (url) => ({
+        body: fixture(
+          url.includes("pid=1002")
+            ? "scout-no-report.html"
+            : "scout-report.html"
+        ),
+      }),
+    },
+  });
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await background.get("MZCache").setCachedScoutData("1001", "soccer", report);
+
+  const page = loadPage(fixture("squad.html"), { url: SQUAD_URL, background });
+  t.after(page.close);
+  const { document } = page;
+  const card = (pid) =>
+    document.getElementById(`player_id_${pid}`).closest(".playerContainer");
+
+  const toolbar = () => document.getElementById("mz-card-toolbar");
+  const summary = () =>
+    document.querySelector("#mz-squad-overview summary")?.textContent;
+  await waitFor(() => assert.match(summary(), /1\/3 scouted/));
+  await waitFor(() => assert.ok(toolbar()));
+
+  return {
+    background,
+    page,
+    card,
+    summary,
+    shown: () =>
+      ["1001", "1002", "1003"].filter(
+        (pid) => !card(pid).classList.contains("mz-card-hidden")
+      ),
+    // Toolbar controls: sort, kind, skill, age bracket, "No scout report"
+    change(index, value) {
+      const controls = toolbar().querySelectorAll("select, input");
+      const control = controls[index];
+      if (control.type === "checkbox") control.checked = value;
+      else control.value = value;
+      control.dispatchEvent(new page.window.Event("change"));
+    },
+  };
+}
+
+test("tells reports not loaded yet from players without one", async (t) => {
+  const { background, summary } = await setup(t);
+
+  assert.equal(
+    summary(),
+    "Squad potential overview (1/3 scouted, 1 not loaded yet)"
+  );
+  assert.deepEqual(background.fetched, []);
+});
+
+test("the overview updates in place as reports come in", async (t) => {
+  const { page, card, summary } = await setup(t);
+  const filter = page.document.querySelector("#mz-squad-overview select");
+
+  page.intersect([card("1002")]);
+  await waitFor(() =>
+    assert.equal(summary(), "Squad potential overview (1/3 scouted)")
+  );
+  assert.ok(filter.isConnected, "an open filter isn't thrown away");
+});
+
+test("the toolbar keeps its controls and only updates the count", async (t) => {
+  const { page, card, change } = await setup(t);
+  const toolbar = page.document.getElementById("mz-card-toolbar");
+  const controls = Array.from(toolbar.querySelectorAll("select, input"));
+  const count = () =>
+    toolbar.querySelector(".mz-card-toolbar-count").textContent;
+
+  change(3, "prime");
+  await waitFor(() => assert.equal(count(), "Showing 1 of 3"));
+  page.intersect([card("1002")]);
+  await waitFor(() => assert.equal(count(), "Showing 1 of 3"));
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  const now = toolbar.querySelectorAll("select, input");
+  assert.ok(controls.every((control, i) => control === now[i]));
+  assert.equal(controls[3].value, "prime");
+});
+
+test("the no-report filter loads off-screen cards instead of guessing", async (t) => {
+  const { background, card, shown, change, summary } = await setup(t);
+
+  change(4, true);
+  // 1002 is fetched although it never scrolled near
+  await waitFor(() =>
+    assert.equal(
+      card("1002").querySelector(".mz-scout-status")?.textContent,
+      "No scout report"
+    )
+  );
+  assert.match(background.fetched[0], /pid=1002/);
+  await waitFor(() => assert.deepEqual(shown(), ["1002", "1003"]));
+  await waitFor(() =>
+    assert.equal(summary(), "Squad potential overview (1/3 scouted)")
+  );
+});
+
+test("a potential filter shows cards once their report is in", async (t) => {
+  const { background, shown, change } = await setup(t);
+
+  change(2, "speed");
+  await waitFor(() => assert.equal(background.fetched.length, 1));
+  await waitFor(() => assert.deepEqual(shown(), ["1001"]));
+
+  change(2, "");
+  assert.deepEqual(shown(), ["1001", "1002", "1003"]);
+});
+
+test("sorting by stars loads every report first", async (t) => {
+  const { background, page, change } = await setup(t);
+  const order = () =>
+    Array.from(
+      page.document.querySelectorAll(".playerContainer [id^='player_id_']"),
+      (el) => el.id.replace("player_id_", "")
+    );
+
+  change(0, "ageDesc");
+  assert.deepEqual(order(), ["1003", "1002", "1001"]);
+
+  // Scouted first; the two without a report in site order
+  change(0, "starsHigh");
+  await waitFor(() => assert.equal(background.fetched.length, 1));
+  await waitFor(() => assert.deepEqual(order(), ["1001", "1002", "1003"]));
+});
+
+test("settings changes leave waiting cards waiting", async (t) => {
+  const { background, page, card } = await setup(t);
+
+  await background.storage.sync.set({
+    "mz-settings": { features: { overview: false } },
+  });
+  await waitFor(() =>
+    assert.equal(page.document.getElementById("mz-squad-overview"), null)
+  );
+  assert.equal(
+    card("1002").querySelector(".mz-scout-status").textContent,
+    "Scout on scroll"
+  );
+  assert.deepEqual(background.fetched, []);
+});
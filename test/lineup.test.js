@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MZLineup = require("../shared/lineup.js");
+
+// One player for each 4-4-2 slot but a centre back and a striker, scoring
+// 70 there and nothing elsewhere
+const SPECIALISTS = ["GK", "FB", "FB", "W", "W", "CM", "CM", "CB", "ST"].map(
+  (position, i) => ({
+    pid: `${position}${i}`,
+    scores: { [position]: 70 },
+  })
+);
+const allRounder = { pid: "A", scores: { CB: 90, ST: 85 } };
+const defender = { pid: "B", scores: { CB: 88, ST: 20 } };
+
+// Who starts at a position, in no particular slot order
+const startersAt = ({ starters }, position) =>
+  starters
+    .filter(({ slot }) => slot.position === position)
+    .map(({ player }) => player?.pid ?? null)
+    .sort();
+
+test("picks the XI with the best total fit, not the best player first", () => {
+  const lineup = MZLineup.suggest({
+    formation: "4-4-2",
+    players: [...SPECIALISTS, allRounder, defender],
+  });
+
+  // Putting the all-rounder at centre back would leave the defender up front
+  assert.deepEqual(startersAt(lineup, "CB"), ["B", "CB7"]);
+  assert.deepEqual(startersAt(lineup, "ST"), ["A", "ST8"]);
+});
+
+test("locked players start, excluded ones never do", () => {
+  const bench = { pid: "C", scores: { CB: 10, ST: 10 } };
+  const lineup = MZLineup.suggest({
+    formation: "4-4-2",
+    players: [...SPECIALISTS, allRounder, defender, bench],
+    locked: new Set(["C"]),
+    excluded: new Set(["B"]),
+  });
+
+  // With the defender out, the all-rounder moves back
+  assert.deepEqual(startersAt(lineup, "CB"), ["A", "CB7"]);
+  assert.deepEqual(startersAt(lineup, "ST"), ["C", "ST8"]);
+  assert.deepEqual(lineup.backups.CB, []);
+});
+
+test("leaves slots open when the squad is short", () => {
+  const lineup = MZLineup.suggest({
+    formation: "4-3-3",
+    players: SPECIALISTS.slice(0, 3),
+  });
+
+  assert.equal(lineup.starters.length, 11);
+  assert.deepEqual(startersAt(lineup, "GK"), ["GK0"]);
+  assert.equal(lineup.starters.filter(({ player }) => player).length, 3);
+});
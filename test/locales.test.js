@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const MZLocales = require("../shared/locales");
+
+test("matches only the page language's dictionary once it is known", () => {
+  assert.equal(MZLocales.skillIdFromName("Bollkontroll", "sv"), "ballControl");
+  assert.equal(MZLocales.skillIdFromName("Ball Control", "sv"), null);
+  assert.equal(MZLocales.skillIdFromName("Velocidade", "es"), null);
+
+  assert.ok(MZLocales.matchesSection("Mais baixo potencial", "lowest", "pt"));
+  assert.ok(!MZLocales.matchesSection("Más bajo potencial", "lowest", "pt"));
+});
+
+test("tries every dictionary when the language is unknown", () => {
+  assert.equal(MZLocales.skillIdFromName("Bollkontroll", null), "ballControl");
+  assert.equal(MZLocales.skillIdFromName("Dribbling", null), null);
+});
+
+test("matches no names on a page in a language without a dictionary", () => {
+  assert.equal(MZLocales.skillIdFromName("Ball Control", "fr"), null);
+  assert.equal(MZLocales.skillIdFromName("Bollkontroll", "fr"), null);
+  assert.ok(!MZLocales.matchesSection("Highest potential", "highest", "fr"));
+});
+
+test("detects the page language, not the browser's", () => {
+  const detect = (html, url = "https://www.managerzone.com/") =>
+    MZLocales.detectLanguage(new JSDOM(html, { url }).window.document);
+
+  assert.equal(detect(`<html lang="pt-BR"><body></body></html>`), "pt");
+  assert.equal(
+    detect(
+      "<html><body></body></html>",
+      "https://www.managerzone.com/?lang=sv"
+    ),
+    "sv"
+  );
+  assert.equal(detect("<html><body></body></html>"), null);
+  assert.ok(MZLocales.hasDictionary("pt-BR"));
+  assert.ok(!MZLocales.hasDictionary("fr"));
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+// Squad page with player 1001's report cached, markers in `markerStyle`
+async function loadCard(t, markerStyle) {
+  const background = loadBackground();
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await background.get("MZCache").setCachedScoutData("1001", "soccer", report);
+  await background.storage.sync.set({ "mz-settings": { markerStyle } });
+
+  const page = loadPage(fixture("squad.html"), {
+    url: "https://www.managerzone.com/?p=players&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const card = page.document
+    .getElementById("player_id_1001")
+    .closest(".playerContainer");
+  const row = (skill) =>
+    Array.from(card.querySelectorAll(".player_skills tr")).find(
+      (tr) => tr.querySelector(".clippable")?.textContent === skill
+    );
+  await waitFor(() => assert.ok(row("Speed").querySelector(".mz-flag-label")));
+  return row;
+}
+
+test("glyph markers tell high from low by shape", async (t) => {
+  const row = await loadCard(t, "glyphs");
+
+  const glyphs = (skill) =>
+    Array.from(
+      row(skill).querySelectorAll(".mz-potential-flag"),
+      (marker) => marker.textContent
+    );
+  assert.deepEqual(glyphs("Speed"), ["▲", "▲", "▲"]);
+  // Lowest potential at 2★ maps to yellow: the hollow triangle
+  assert.deepEqual(glyphs("Keeping"), ["▽"]);
+  assert.equal(row("Speed").querySelector("img.mz-potential-flag"), null);
+});
+
+test("each marked row has one focusable label describing its markers", async (t) => {
+  const row = await loadCard(t, "flags");
+
+  const labels = row("Speed").querySelectorAll(".mz-flag-label");
+  assert.equal(labels.length, 1);
+  assert.equal(labels[0].tabIndex, 0);
+  assert.match(
+    labels[0].getAttribute("aria-label"),
+    /^Scout: highest potential, 4★\. Cached: .+\. Source: scout report by Anders Holm of 2026-09-30$/
+  );
+  for (const marker of row("Speed").querySelectorAll(".mz-potential-flag")) {
+    assert.equal(marker.getAttribute("aria-hidden"), "true");
+  }
+});
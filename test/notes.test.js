@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+test("cleans tags, keeps the player's name and drops empty notes", async () => {
+  const MZNotes = loadBackground().get("MZNotes");
+
+  await MZNotes.setNote("1001", "soccer", {
+    text: "  Sell in spring ",
+    tags: [
+      { label: "Sell", color: "red" },
+      { label: "sell", color: "green" },
+      { label: "Watch", color: "pink" },
+      { label: " " },
+    ],
+    playerName: "Erik Larsson",
+  });
+  await MZNotes.setNote("1001", "soccer", {
+    text: "Sell in spring",
+    tags: [{ label: "Sell", color: "red" }],
+  });
+
+  const [note] = plain(await MZNotes.listNotes());
+  assert.equal(note.pid, "1001");
+  assert.equal(note.sport, "soccer");
+  assert.equal(note.text, "Sell in spring");
+  assert.equal(note.playerName, "Erik Larsson");
+  assert.equal(await MZNotes.getNote("1001", "hockey"), null);
+
+  assert.equal(await MZNotes.setNote("1001", "soccer", { text: " " }), null);
+  assert.deepEqual(plain(await MZNotes.listNotes()), []);
+});
+
+test("shows a player's tags on the card", async (t) => {
+  const background = loadBackground();
+  await background.get("MZNotes").setNote("1002", "soccer", {
+    tags: [
+      { label: "Sell", color: "red" },
+      { label: "Watch", color: "pink" },
+    ],
+  });
+
+  const page = loadPage(fixture("squad.html"), {
+    url: "https://www.managerzone.com/?p=players&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const card = page.document
+    .getElementById("player_id_1002")
+    .closest(".playerContainer");
+
+  // Unknown colors are shown gray
+  await waitFor(() =>
+    assert.deepEqual(
+      Array.from(card.querySelectorAll(".mz-tag"), (tag) => tag.className),
+      ["mz-tag mz-tag-red", "mz-tag mz-tag-gray"]
+    )
+  );
+  assert.equal(card.querySelector(".mz-tag").textContent, "Sell");
+});
+
+test("lists notes from the note keys alone", async () => {
+  const background = loadBackground();
+  const MZNotes = background.get("MZNotes");
+  const { local } = background.storage;
+  local.data["mz-history-v1-soccer-1001"] = [{ levels: { speed: 5 } }];
+  await MZNotes.setNote("1001", "soccer", { text: "Sell" });
+
+  const requested = [];
+  const get = local.get;
+  local.get = (keys) => {
+    requested.push(keys);
+    return get.call(local, keys);
+  };
+  assert.equal(plain(await MZNotes.listNotes()).length, 1);
+  assert.deepEqual(requested, [["mz-notes-v1-soccer-1001"]]);
+});
+
+test("reads notes only once the page shows a player", async (t) => {
+  const background = loadBackground();
+  await background.get("MZNotes").setNote("1001", "soccer", {
+    tags: [{ label: "Sell", color: "red" }],
+  });
+  const page = loadPage("<html><body><p>Forum</p></body></html>", {
+    url: "https://www.managerzone.com/?p=forum&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const asked = [];
+  const { runtime } = page.chrome;
+  const sendMessage = runtime.sendMessage;
+  runtime.sendMessage = (message) => {
+    asked.push(message.type);
+    return sendMessage.call(runtime, message);
+  };
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.ok(!asked.includes("NOTE_LIST"));
+
+  const post = page.document.createElement("p");
+  post.innerHTML = `<a href="?p=players&amp;pid=1001">Erik Larsson</a>`;
+  page.document.body.append(post);
+  await waitFor(() =>
+    assert.equal(post.querySelector(".mz-tag")?.textContent, "Sell")
+  );
+  assert.deepEqual(
+    asked.filter((type) => type === "NOTE_LIST"),
+    ["NOTE_LIST"]
+  );
+});
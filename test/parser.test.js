@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  createChromeStorage,
+  loadOffscreen,
+} = require("./helpers/extension");
+
+const offscreen = loadOffscreen(createChromeStorage());
+const MZParser = offscreen.get("MZParser");
+const { CODES } = offscreen.get("MZErrors");
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+test("parses a complete English scout report", () => {
+  const report = MZParser.parseScoutHTML(fixture("scout-report.html"), "en");
+
+  assert.deepEqual(plain(report.highest), ["Speed", "Ball Control"]);
+  assert.deepEqual(plain(report.lowest), ["Heading", "Keeping"]);
+  assert.deepEqual(plain(report.highestIds), ["speed", "ballControl"]);
+  assert.deepEqual(plain(report.lowestIds), ["heading", "keeping"]);
+  assert.equal(report.starsHigh, 4);
+  assert.equal(report.starsLow, 2);
+  assert.equal(report.potentialStars, 3);
+  assert.equal(report.trainingSpeedStars, 4);
+  assert.equal(report.scout.name, "Anders Holm");
+  assert.equal(report.scout.knowledge, 4);
+  assert.equal(report.scout.level, 6);
+  assert.equal(report.reportDate, "2026-09-30");
+  assert.equal(report.modelVersion, MZParser.MODEL_VERSION);
+});
+
+test("maps localized skill names to canonical ids", () => {
+  const report = MZParser.parseScoutHTML(fixture("scout-report-sv.html"), "sv");
+
+  assert.deepEqual(plain(report.highestIds), ["speed", "ballControl"]);
+  assert.deepEqual(plain(report.lowestIds), ["heading", "keeping"]);
+  assert.equal(report.starsHigh, 4);
+  assert.equal(report.trainingSpeedStars, 4);
+});
+
+test("tells a login page from a missing or unreadable report", () => {
+  assert.equal(
+    codeOf(() => MZParser.parseScoutHTML(fixture("login.html"), "en")),
+    CODES.NOT_LOGGED_IN
+  );
+  assert.equal(
+    codeOf(() =>
+      MZParser.parseScoutHTML(fixture("scout-no-report.html"), "en")
+    ),
+    CODES.NO_REPORT
+  );
+  // A whole page where a report fragment was expected
+  assert.equal(
+    codeOf(() => MZParser.parseScoutHTML(fixture("squad.html"), "en")),
+    CODES.UNRECOGNIZED_MARKUP
+  );
+});
+
+test("reads the squad list and language from the players page", () => {
+  const { players, lang } = MZParser.parseSquadHTML(fixture("squad.html"));
+
+  assert.equal(lang, "en");
+  assert.deepEqual(
+    plain(players).map(({ pid, name }) => [pid, name]),
+    [
+      ["1001", "Erik Larsson"],
+      ["1002", "Jonas Berg"],
+      ["1003", "Olle Strand"],
+    ]
+  );
+  assert.equal(
+    codeOf(() => MZParser.parseSquadHTML(fixture("scout-report.html"))),
+    CODES.UNRECOGNIZED_MARKUP
+  );
+});
+
+test("diagnoses a report without throwing", () => {
+  const ok = MZParser.diagnoseScoutHTML(fixture("scout-report.html"), "en");
+  assert.equal(ok.outcome.ok, true);
+  assert.equal(ok.selectors["dd li > strong"], 3);
+  assert.deepEqual(
+    plain(ok.titles).map(({ kind }) => kind),
+    ["highest", "lowest", null]
+  );
+
+  const login = MZParser.diagnoseScoutHTML(fixture("login.html"), "en");
+  assert.equal(login.loginPage, true);
+  assert.equal(login.outcome.code, CODES.NOT_LOGGED_IN);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Plain scripts sharing the page's globals in the extension
+globalThis.MZSports = require("../shared/sports.js");
+const MZPositions = require("../shared/positions.js");
+const MZSettings = require("../shared/settings.js");
+
+const PROFILES = {
+  GK: { keeping: 10, aerialPassing: 2 },
+  ST: { shooting: 8, speed: 4, ballControl: 4 },
+};
+
+const levels = new Map(
+  Object.entries({
+    keeping: 2,
+    aerialPassing: 2,
+    shooting: 6,
+    speed: 6,
+    ballControl: 6,
+  })
+);
+
+test("ranks positions by the current fit, then the projected one", () => {
+  const ranked = MZPositions.rankPositions({
+    levels,
+    potentials: new Map([
+      ["keeping", { kind: "high", stars: 4 }],
+      ["shooting", { kind: "low", stars: 1 }],
+    ]),
+    profiles: PROFILES,
+  });
+
+  assert.deepEqual(
+    ranked.map(({ position, current, projected }) => [
+      position,
+      current,
+      projected,
+    ]),
+    [
+      ["ST", 60, 65],
+      ["GK", 20, 55],
+    ]
+  );
+});
+
+test("projects nothing without a scout report", () => {
+  const [best] = MZPositions.rankPositions({ levels, profiles: PROFILES });
+  assert.equal(best.projected, null);
+});
+
+test("cleans imported profiles", () => {
+  assert.deepEqual(
+    MZPositions.cleanProfiles({
+      GK: { keeping: 12, passing: "3", speed: 0, heading: -1 },
+      XX: { speed: 5 },
+    }),
+    { GK: { keeping: 10, passing: 3 } }
+  );
+  assert.throws(() => MZPositions.cleanProfiles({ XX: {} }), /No known/);
+  assert.throws(() => MZPositions.cleanProfiles(null), /Not a set/);
+});
+
+test("keeps the user's profiles as saved, without default positions", () => {
+  const { positionProfiles } = MZSettings.withDefaults({
+    positionProfiles: PROFILES,
+  });
+  assert.deepEqual(positionProfiles, PROFILES);
+  assert.deepEqual(
+    MZSettings.withDefaults({}).positionProfiles,
+    MZSettings.DEFAULTS.positionProfiles
+  );
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  createClock,
+  loadBackground,
+} = require("./helpers/extension");
+
+const SQUAD_URL = "https://www.managerzone.com/?p=players&sport=soccer";
+
+test("fetches the squad's players that have no cached report", async () => {
+  const clock = createClock();
+  const background = loadBackground({
+    clock,
+    responses: {
+      [SQUAD_URL]: { body: fixture("squad.html") },
+      "*": { body: fixture("scout-report.html") },
+    },
+  });
+  const MZPrefetch = background.get("MZPrefetch");
+  const MZCache = background.get("MZCache");
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+
+  assert.equal(MZPrefetch.start("soccer").stage, "listing");
+  await clock.run();
+
+  const state = plain(MZPrefetch.getState());
+  assert.equal(state.running, false);
+  assert.equal(state.squadSize, 3);
+  assert.equal(state.cached, 1);
+  assert.equal(state.total, 2);
+  assert.equal(state.fetched, 2);
+  assert.deepEqual(
+    background.fetched
+      .slice(1)
+      .map((url) => new URL(url).searchParams.get("pid")),
+    ["1002", "1003"]
+  );
+});
+
+test("checks the cache in one read that isn't an access", async () => {
+  const clock = createClock();
+  const background = loadBackground({
+    clock,
+    responses: {
+      [SQUAD_URL]: { body: fixture("squad.html") },
+      "*": { body: fixture("scout-report.html") },
+    },
+  });
+  const MZPrefetch = background.get("MZPrefetch");
+  const MZCache = background.get("MZCache");
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await MZCache.setCachedScoutData("1001", "soccer", report);
+  const { local } = background.storage;
+  const key = MZCache.getCacheKey("1001", "soccer");
+  const { lastAccess } = local.data[key];
+  clock.advance(24 * 60 * 60 * 1000);
+
+  const reads = [];
+  const get = local.get;
+  local.get = (keys) => {
+    reads.push(keys);
+    return get.call(local, keys);
+  };
+  MZPrefetch.start("soccer");
+  await clock.run();
+
+  const squadKeys = ["1001", "1002", "1003"].map((pid) =>
+    MZCache.getCacheKey(pid, "soccer")
+  );
+  assert.deepEqual(plain(reads[0]), squadKeys, "one read for the squad");
+  assert.ok(!reads.includes(key), "1001 isn't looked up on its own");
+  assert.equal(local.data[key].lastAccess, lastAccess);
+});
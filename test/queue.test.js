@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  createClock,
+  loadBackground,
+} = require("./helpers/extension");
+
+const scoutUrl = (pid) =>
+  `https://www.managerzone.com/ajax.php?p=players&sub=scout_report&pid=${pid}&sport=soccer`;
+
+const REPORT = { body: fixture("scout-report.html") };
+
+function setup(responses = { "*": REPORT }) {
+  const clock = createClock();
+  const background = loadBackground({ clock, responses });
+  return {
+    clock,
+    background,
+    MZQueue: background.get("MZQueue"),
+    MZCache: background.get("MZCache"),
+  };
+}
+
+// Starts a request and runs the clock until it has an outcome
+async function settled(clock, promise) {
+  const outcome = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await clock.run();
+  return outcome;
+}
+
+test("fetches, parses and caches a report, then serves the cache", async () => {
+  const { clock, background, MZQueue, MZCache } = setup();
+
+  const { value } = await settled(
+    clock,
+    MZQueue.requestScout("1001", "soccer", { lang: "en" })
+  );
+  assert.deepEqual(plain(value.highestIds), ["speed", "ballControl"]);
+  assert.deepEqual(background.fetched, [scoutUrl("1001")]);
+  assert.ok(await MZCache.getCachedScoutData("1001", "soccer"));
+
+  await settled(clock, MZQueue.requestScout("1001", "soccer"));
+  assert.equal(background.fetched.length, 1);
+  assert.equal(MZQueue.getQueueState().session.valid, true);
+});
+
+test("shares one request between concurrent callers", async () => {
+  const { clock, background, MZQueue } = setup();
+
+  const first = MZQueue.requestScout("1001", "soccer");
+  const second = MZQueue.requestScout("1001", "soccer");
+  await settled(clock, Promise.all([first, second]));
+
+  assert.equal(background.fetched.length, 1);
+});
+
+test("runs higher priority requests first", async () => {
+  const { clock, background, MZQueue } = setup();
+  const { PRIORITY } = MZQueue;
+
+  const requests = [
+    MZQueue.requestScout("1", "soccer", { priority: PRIORITY.NORMAL }),
+    MZQueue.requestScout("2", "soccer", { priority: PRIORITY.BACKGROUND }),
+    MZQueue.requestScout("3", "soccer", { priority: PRIORITY.BACKGROUND }),
+    MZQueue.requestScout("4", "soccer", { priority: PRIORITY.VISIBLE }),
+  ];
+  await settled(clock, Promise.all(requests));
+
+  assert.deepEqual(background.fetched, ["1", "4", "2", "3"].map(scoutUrl));
+});
+
+test("retries server errors with backoff", async () => {
+  let calls = 0;
+  const { clock, background, MZQueue } = setup({
+    "*": () => (++calls < 3 ? { status: 503 } : REPORT),
+  });
+
+  const started = clock.now();
+  const { value, error } = await settled(
+    clock,
+    MZQueue.requestScout("1001", "soccer")
+  );
+
+  assert.equal(error, undefined);
+  assert.ok(value.highest.length);
+  assert.equal(background.fetched.length, 3);
+  assert.ok(clock.now() - started >= 1500, "waited between attempts");
+});
+
+test("retries an unreachable server, not failures that would repeat", async () => {
+  let calls = 0;
+  const { clock, background, MZQueue, MZCache } = setup({
+    // No response at all the first time
+    "*": () => (++calls < 2 ? null : REPORT),
+  });
+
+  const { value } = await settled(
+    clock,
+    MZQueue.requestScout("1001", "soccer")
+  );
+  assert.ok(value.highest.length);
+  assert.equal(background.fetched.length, 2);
+
+  MZCache.setCachedScoutData = async () => {
+    throw new Error("Refusing to cache incomplete scout data for 1002");
+  };
+  const { error } = await settled(
+    clock,
+    MZQueue.requestScout("1002", "soccer")
+  );
+  assert.match(error.message, /Refusing to cache/);
+  assert.equal(background.fetched.length, 3, "not retried");
+});
+
+test("pauses the whole queue when rate limited", async () => {
+  let limited = true;
+  const { clock, MZQueue } = setup({
+    "*": () =>
+      limited
+        ? ((limited = false), { status: 429, headers: { "Retry-After": "30" } })
+        : REPORT,
+  });
+
+  const request = MZQueue.requestScout("1001", "soccer");
+  await clock.run({ maxTimers: 0 });
+  assert.ok(MZQueue.getQueueState().pausedUntil >= clock.now() + 29000);
+
+  const { value } = await settled(clock, request);
+  assert.ok(value.highest.length);
+});
+
+test("reports a login page as NOT_LOGGED_IN without caching it", async () => {
+  const { clock, background, MZQueue, MZCache } = setup({
+    "*": { body: fixture("login.html") },
+  });
+
+  const { error } = await settled(clock, MZQueue.requestScout("1001"));
+
+  assert.equal(error.code, "NOT_LOGGED_IN");
+  assert.equal(background.fetched.length, 1, "not retried");
+  assert.equal(MZQueue.getQueueState().session.valid, false);
+  assert.equal(MZQueue.getQueueState().failed[0].code, "NOT_LOGGED_IN");
+  assert.equal(await MZCache.getCachedScoutData("1001", "soccer"), null);
+});
+
+test("reports unscouted players as NO_REPORT", async () => {
+  const { clock, MZQueue } = setup({
+    "*": { body: fixture("scout-no-report.html") },
+  });
+
+  const { error } = await settled(clock, MZQueue.requestScout("1001"));
+  assert.equal(error.code, "NO_REPORT");
+});
+
+test("cancels queued background jobs only", async () => {
+  const { clock, background, MZQueue } = setup();
+  const { PRIORITY } = MZQueue;
+
+  const running = MZQueue.requestScout("1", "soccer");
+  const background2 = MZQueue.requestScout("2", "soccer", {
+    priority: PRIORITY.BACKGROUND,
+  });
+  const raised = MZQueue.requestScout("3", "soccer", {
+    priority: PRIORITY.BACKGROUND,
+  });
+  await clock.run({ maxTimers: 0 });
+  // A page asked for player 3 meanwhile
+  MZQueue.requestScout("3", "soccer", { priority: PRIORITY.VISIBLE });
+  await clock.run({ maxTimers: 0 });
+
+  assert.equal(MZQueue.cancelPending("soccer", ["1", "2", "3"]), 1);
+  const outcomes = await settled(
+    clock,
+    Promise.allSettled([running, background2, raised])
+  );
+  assert.deepEqual(
+    outcomes.value.map(({ status }) => status),
+    ["fulfilled", "rejected", "fulfilled"]
+  );
+  assert.equal(outcomes.value[1].reason.code, "CANCELLED");
+  assert.deepEqual(background.fetched, ["1", "3"].map(scoutUrl));
+});
+
+test("reads the squad list for prefetching", async () => {
+  const { clock, MZQueue } = setup({
+    "https://www.managerzone.com/?p=players&sport=soccer": {
+      body: fixture("squad.html"),
+    },
+  });
+
+  const { value } = await settled(clock, MZQueue.fetchSquad("soccer"));
+  assert.deepEqual(
+    plain(value.players).map(({ pid }) => pid),
+    ["1001", "1002", "1003"]
+  );
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fixture,
+  plain,
+  loadBackground,
+  loadPage,
+  waitFor,
+} = require("./helpers/extension");
+
+// Squad page with player 1001's report in the cache
+async function setup(t) {
+  const background = loadBackground({
+    responses: { "*": { body: fixture("scout-report.html") } },
+  });
+  const report = plain(
+    background.offscreen
+      .get("MZParser")
+      .parseScoutHTML(fixture("scout-report.html"), "en")
+  );
+  await background.get("MZCache").setCachedScoutData("1001", "soccer", report);
+
+  const page = loadPage(fixture("squad.html"), {
+    url: "https://www.managerzone.com/?p=players&sport=soccer",
+    background,
+  });
+  t.after(page.close);
+  const card = page.document
+    .getElementById("player_id_1001")
+    .closest(".playerContainer");
+  const status = () => card.querySelector(".mz-scout-status")?.textContent;
+  await waitFor(() => assert.ok(card.querySelector(".mz-scout-refresh")));
+  return { background, page, card, status };
+}
+
+const fetchedPids = (background) =>
+  background.fetched.map((url) => new URL(url).searchParams.get("pid"));
+
+test("the card's refresh button fetches a cached report again", async (t) => {
+  const { background, card, status } = await setup(t);
+  assert.ok(!fetchedPids(background).includes("1001"));
+
+  card.querySelector(".mz-scout-refresh").click();
+  await waitFor(() => assert.equal(status(), "Scout refreshed"));
+  assert.ok(fetchedPids(background).includes("1001"));
+});
+
+test("the context menu refreshes the card that was right-clicked", async (t) => {
+  const { background, page, card, status } = await setup(t);
+
+  card
+    .querySelector(".player_skills")
+    .dispatchEvent(
+      new page.window.MouseEvent("contextmenu", { bubbles: true })
+    );
+  // What the background sends when the menu item is picked
+  for (const listener of page.chrome.runtime.onMessage.listeners) {
+    listener({ type: "REFRESH_SCOUT_CONTEXT" }, {}, () => {});
+  }
+
+  await waitFor(() => assert.equal(status(), "Scout refreshed"));
+  assert.ok(fetchedPids(background).includes("1001"));
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Plain scripts sharing the page's globals in the extension
+globalThis.MZSports = require("../shared/sports.js");
+const MZTraining = require("../shared/training.js");
+
+const WEIGHTS = { highPotential: 3, lowPotential: 3, nearMax: 2, room: 1 };
+
+const levels = (entries) => new Map(Object.entries(entries));
+
+test("puts high potential skills first and low potential ones last", () => {
+  const ranked = MZTraining.rankSkills({
+    sport: "soccer",
+    levels: levels({ speed: 5, passing: 5, heading: 5 }),
+    potentials: new Map([
+      ["passing", { kind: "high", stars: 4 }],
+      ["heading", { kind: "low", stars: 1 }],
+    ]),
+    weights: WEIGHTS,
+  });
+
+  assert.deepEqual(
+    ranked.map(({ id }) => id),
+    ["passing", "speed", "heading"]
+  );
+  assert.equal(
+    MZTraining.describeReasons(ranked[0].reasons),
+    "room to grow +0.5, high potential +3.0"
+  );
+});
+
+test("leaves out maxed, untrainable and missing skills", () => {
+  const ranked = MZTraining.rankSkills({
+    sport: "soccer",
+    levels: levels({ speed: 10, stamina: 9, experience: 2, form: 3 }),
+    weights: WEIGHTS,
+  });
+
+  assert.deepEqual(
+    ranked.map(({ id }) => id),
+    ["stamina"]
+  );
+  // Close to the maximum costs more than the little room left gives
+  assert.ok(ranked[0].score < 0);
+});